@@ -0,0 +1,34 @@
+// Copies the Draco decoder and Basis Universal transcoder shipped with the
+// three package into src/vendor/, where gltf-loader.js loads them from.
+// Runs after `npm install`; the three version must match the import map in index.html.
+const fs = require('fs');
+const path = require('path');
+
+const root = path.join(__dirname, '..');
+const libs = path.join(root, 'node_modules', 'three', 'examples', 'js', 'libs');
+const vendor = path.join(root, 'src', 'vendor');
+
+const files = {
+    draco: [
+        ['draco/gltf/draco_decoder.js', 'draco_decoder.js'],
+        ['draco/gltf/draco_decoder.wasm', 'draco_decoder.wasm'],
+        ['draco/gltf/draco_wasm_wrapper.js', 'draco_wasm_wrapper.js']
+    ],
+    basis: [
+        ['basis/basis_transcoder.js', 'basis_transcoder.js'],
+        ['basis/basis_transcoder.wasm', 'basis_transcoder.wasm']
+    ]
+};
+
+if (!fs.existsSync(libs)) {
+    console.error('three is not installed - run `npm install` first');
+    process.exit(1);
+}
+
+Object.entries(files).forEach(([dir, entries]) => {
+    fs.mkdirSync(path.join(vendor, dir), { recursive: true });
+    entries.forEach(([from, to]) => {
+        fs.copyFileSync(path.join(libs, from), path.join(vendor, dir, to));
+        console.log(`src/vendor/${dir}/${to}`);
+    });
+});
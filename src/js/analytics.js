@@ -0,0 +1,232 @@
+// Usage analytics: which targets are scanned, for how long, and how captures
+// and start-up go.
+//
+// Events have a fixed set of fields per type, and anything else handed to
+// track() is dropped, so nothing about the visitor ends up in them by
+// accident. A session is a random id made on page load and never stored; it
+// only ties together the events of one visit. Do Not Track and Global
+// Privacy Control turn off everything but the console.
+//
+// Sinks take events with send(events) and return whether they took them.
+// Batched sinks get the events collected every few seconds and when the page
+// is hidden, others get each event right away.
+import * as storage from './storage.js';
+
+const QUEUE_KEY = 'webar-analytics-queue';
+
+export const ANALYTICS_DEFAULTS = {
+    console: false, // Log events to the console
+    endpoint: null, // URL events are POSTed to with sendBeacon, as { events: [...] }
+    offlineQueue: true, // Keep events the endpoint couldn't get and send them when back online
+    flushSeconds: 10,
+    maxQueued: 200, // Oldest queued events are dropped beyond this
+    exhibit: null // Sent with every event, to tell exhibits apart on a shared endpoint
+};
+
+// Fields each event type may carry
+export const EVENT_FIELDS = {
+    session_start: ['language', 'tier', 'mobile'],
+    init_error: ['error', 'message'],
+    target_found: ['target', 'targetIndex'],
+    target_lost: ['target', 'targetIndex', 'dwellMs'],
+    screenshot: ['ok', 'mimeType', 'method', 'error', 'message'],
+    loop_capture: ['ok', 'mode', 'bytes', 'method', 'error', 'message'],
+    recording_start: ['ok', 'mimeType', 'audio', 'error', 'message'],
+    recording_stop: ['reason', 'durationMs'],
+    recording_saved: ['ok', 'mimeType', 'bytes', 'method', 'error', 'message']
+};
+
+const MAX_MESSAGE_LENGTH = 100;
+
+export class ConsoleSink {
+    send(events) {
+        events.forEach(event => console.info(`[analytics] ${event.type}`, event));
+        return true;
+    }
+}
+
+export class BeaconSink {
+    constructor(endpoint) {
+        this.endpoint = endpoint;
+        this.batched = true;
+    }
+
+    send(events) {
+        if (navigator.onLine === false || typeof navigator.sendBeacon !== 'function') {
+            return false;
+        }
+        const body = new Blob([JSON.stringify({ events })], { type: 'application/json' });
+        return navigator.sendBeacon(this.endpoint, body);
+    }
+}
+
+// Puts another sink's failures in localStorage and tries again when the
+// device is back online or the next page load finds them
+export class QueuedSink {
+    constructor(sink, { maxQueued = ANALYTICS_DEFAULTS.maxQueued } = {}) {
+        this.sink = sink;
+        this.maxQueued = maxQueued;
+        this.batched = true;
+
+        window.addEventListener('online', () => this.retry());
+        this.retry();
+    }
+
+    send(events) {
+        const queue = readQueue().concat(events).slice(-this.maxQueued);
+        writeQueue(this.sink.send(queue) ? [] : queue);
+        return true;
+    }
+
+    retry() {
+        const queue = readQueue();
+        if (queue.length > 0 && this.sink.send(queue)) {
+            writeQueue([]);
+        }
+    }
+}
+
+export class Analytics {
+    constructor() {
+        this.sinks = [];
+        this.configured = false;
+        this.pending = []; // Events tracked before configure(), e.g. a manifest that failed to load
+        this.buffer = []; // Events waiting for the batched sinks
+        this.flushTimer = null;
+        this.flushInterval = ANALYTICS_DEFAULTS.flushSeconds * 1000;
+        this.exhibit = null;
+        this.session = createSessionId();
+
+        // Last chance to send before the page goes away
+        const flush = () => this.flush();
+        window.addEventListener('pagehide', flush);
+        document.addEventListener('visibilitychange', () => {
+            if (document.visibilityState === 'hidden') {
+                flush();
+            }
+        });
+    }
+
+    // Sets up the sinks from the manifest's "analytics" section; without it
+    // events go nowhere. Events tracked before this are handed over now.
+    configure(config = {}) {
+        const settings = { ...ANALYTICS_DEFAULTS, ...config };
+        this.flushInterval = settings.flushSeconds * 1000;
+        this.exhibit = settings.exhibit;
+        this.configured = true;
+
+        if (settings.console) {
+            this.addSink(new ConsoleSink());
+        }
+        if (settings.endpoint) {
+            if (doesNotWantTracking()) {
+                console.info('Analytics endpoint not used: the browser asks not to be tracked');
+            } else {
+                const beacon = new BeaconSink(settings.endpoint);
+                this.addSink(settings.offlineQueue ? new QueuedSink(beacon, settings) : beacon);
+            }
+        }
+
+        const pending = this.pending;
+        this.pending = [];
+        pending.forEach(event => this.deliver(event));
+    }
+
+    addSink(sink) {
+        this.sinks.push(sink);
+    }
+
+    // data may hold an Error as `error`; it is sent as its name and the
+    // start of its message. Anything else given as `error` is sent as text.
+    track(type, data = {}) {
+        const fields = EVENT_FIELDS[type];
+        if (!fields) {
+            console.warn(`Unknown analytics event "${type}"`);
+            return;
+        }
+        if (this.configured && this.sinks.length === 0) return;
+
+        const event = { type, time: Date.now(), session: this.session };
+        const values = 'error' in data ? { ...data, ...describeError(data.error) } : data;
+        fields.forEach(field => {
+            if (values[field] !== undefined && values[field] !== null) {
+                event[field] = values[field];
+            }
+        });
+
+        if (this.configured) {
+            this.deliver(event);
+        } else {
+            this.pending = this.pending.concat(event).slice(-ANALYTICS_DEFAULTS.maxQueued);
+        }
+    }
+
+    deliver(event) {
+        if (this.exhibit) {
+            event.exhibit = this.exhibit;
+        }
+
+        this.sinks.forEach(sink => {
+            if (sink.batched) return;
+            try {
+                sink.send([event]);
+            } catch (error) {
+                console.warn('Analytics sink failed:', error);
+            }
+        });
+
+        if (this.sinks.some(sink => sink.batched)) {
+            this.buffer.push(event);
+            if (!this.flushTimer) {
+                this.flushTimer = setTimeout(() => this.flush(), this.flushInterval);
+            }
+        }
+    }
+
+    flush() {
+        clearTimeout(this.flushTimer);
+        this.flushTimer = null;
+        if (this.buffer.length === 0) return;
+
+        const events = this.buffer;
+        this.buffer = [];
+        this.sinks.filter(sink => sink.batched).forEach(sink => {
+            try {
+                sink.send(events);
+            } catch (error) {
+                console.warn('Analytics sink failed:', error);
+            }
+        });
+    }
+}
+
+// MindAR rejects with no value at all, and other rejections can be any
+// value; none of them is sent as it is
+function describeError(error) {
+    if (error instanceof Error) {
+        return { error: error.name, message: String(error.message).slice(0, MAX_MESSAGE_LENGTH) };
+    }
+    const message = error === undefined || error === null ? null : String(error).slice(0, MAX_MESSAGE_LENGTH);
+    return { error: 'unknown', message };
+}
+
+function doesNotWantTracking() {
+    return navigator.doNotTrack === '1' || window.doNotTrack === '1' || navigator.globalPrivacyControl === true;
+}
+
+function createSessionId() {
+    if (window.crypto && typeof window.crypto.randomUUID === 'function') {
+        return window.crypto.randomUUID();
+    }
+    return Math.random().toString(36).slice(2) + Date.now().toString(36);
+}
+
+function readQueue() {
+    const queue = storage.getJSON(QUEUE_KEY);
+    return Array.isArray(queue) ? queue : [];
+}
+
+// Where storage fails, queued events are just dropped
+function writeQueue(queue) {
+    storage.setJSON(QUEUE_KEY, queue.length > 0 ? queue : null);
+}
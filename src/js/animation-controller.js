@@ -0,0 +1,245 @@
+// Plays a model's glTF clips one at a time with cross-fades.
+//
+// AnimationController wraps an AnimationMixer: clips are picked by name, loop
+// or play once, can be paused and scrubbed, and a play-once clip can hand
+// over to another clip when it ends (e.g. a greeting on detection, then back
+// to the idle loop). AnimationPanel is the on-screen UI for it.
+import * as THREE from 'three';
+import { t } from './i18n.js';
+
+export class AnimationController {
+    constructor(root, clips, { crossFadeMs = 300 } = {}) {
+        this.root = root;
+        this.clips = clips;
+        this.crossFade = crossFadeMs / 1000;
+        this.mixer = new THREE.AnimationMixer(root);
+        this.current = null; // AnimationAction of the clip being shown
+        this.loop = 'repeat';
+        this.next = null; // { name, loop } to fade into when a play-once clip ends
+        this.paused = false;
+
+        this.mixer.addEventListener('finished', (event) => {
+            if (event.action !== this.current || !this.next) return;
+
+            const { name, loop } = this.next;
+            this.play(name, { loop });
+        });
+    }
+
+    getClipNames() {
+        return this.clips.map(clip => clip.name);
+    }
+
+    getCurrentName() {
+        return this.current ? this.current.getClip().name : null;
+    }
+
+    // loop: 'repeat' | 'once'; then: clip (and its loop mode) to continue with
+    // after a play-once clip
+    play(name, { loop = 'repeat', then = null, fade = this.crossFade } = {}) {
+        const clip = THREE.AnimationClip.findByName(this.clips, name);
+        if (!clip) {
+            console.warn(`Animation clip "${name}" not found`);
+            return false;
+        }
+
+        const action = this.mixer.clipAction(clip);
+        const previous = this.current;
+
+        action.reset();
+        this.applyLoop(action, loop);
+        action.play();
+
+        if (previous && previous !== action) {
+            if (fade > 0) {
+                action.crossFadeFrom(previous, fade, false);
+            } else {
+                previous.stop();
+            }
+        }
+
+        this.current = action;
+        this.loop = loop;
+        this.next = loop === 'once' ? then : null;
+        this.setPaused(false);
+        return true;
+    }
+
+    setPaused(paused) {
+        this.paused = paused;
+        this.mixer.timeScale = paused ? 0 : 1;
+    }
+
+    // Resumes, or restarts a play-once clip that already ended
+    togglePause() {
+        if (!this.current) return;
+
+        if (this.paused) {
+            this.setPaused(false);
+        } else if (this.isFinished()) {
+            this.play(this.getCurrentName(), { loop: this.loop, fade: 0 });
+        } else {
+            this.setPaused(true);
+        }
+    }
+
+    setLoop(loop) {
+        this.loop = loop;
+        if (!this.current) return;
+
+        this.applyLoop(this.current, loop);
+        if (loop === 'repeat') {
+            this.next = null;
+            this.current.paused = false; // Un-clamp a clip that had finished
+        }
+    }
+
+    isFinished() {
+        return Boolean(this.current && this.loop === 'once' && this.current.paused);
+    }
+
+    getDuration() {
+        return this.current ? this.current.getClip().duration : 0;
+    }
+
+    getTime() {
+        return this.current ? this.current.time : 0;
+    }
+
+    // Jumps to a time in the current clip and shows that pose right away,
+    // also while paused
+    seek(time) {
+        if (!this.current) return;
+
+        this.current.time = THREE.MathUtils.clamp(time, 0, this.getDuration());
+        this.current.paused = false;
+        this.current.enabled = true;
+
+        const { timeScale } = this.mixer;
+        this.mixer.timeScale = 1;
+        this.mixer.update(0);
+        this.mixer.timeScale = timeScale;
+    }
+
+    update(deltaTime) {
+        this.mixer.update(deltaTime);
+    }
+
+    dispose() {
+        this.mixer.stopAllAction();
+        this.mixer.uncacheRoot(this.root);
+        this.current = null;
+        this.next = null;
+    }
+
+    applyLoop(action, loop) {
+        if (loop === 'once') {
+            action.setLoop(THREE.LoopOnce, 1);
+            action.clampWhenFinished = true; // Hold the last frame instead of snapping back
+        } else {
+            action.setLoop(THREE.LoopRepeat, Infinity);
+            action.clampWhenFinished = false;
+        }
+    }
+}
+
+// Clip picker, play / pause, loop toggle and scrubber for the controller of
+// the active target
+export class AnimationPanel {
+    constructor({ toggle, panel }) {
+        this.toggle = toggle;
+        this.panel = panel;
+        this.controller = null;
+        this.scrubbing = false;
+
+        this.select = panel.querySelector('.animation-clip');
+        this.playButton = panel.querySelector('.animation-play');
+        this.loopCheckbox = panel.querySelector('.animation-loop');
+        this.scrubber = panel.querySelector('.animation-scrub');
+        this.timeLabel = panel.querySelector('.animation-time');
+
+        this.toggle.addEventListener('click', () => this.setOpen(this.panel.classList.contains('hidden')));
+
+        this.select.addEventListener('change', () => {
+            if (!this.controller) return;
+            this.controller.play(this.select.value, { loop: this.loopCheckbox.checked ? 'repeat' : 'once' });
+        });
+
+        this.playButton.addEventListener('click', () => {
+            if (this.controller) {
+                this.controller.togglePause();
+            }
+        });
+
+        this.loopCheckbox.addEventListener('change', () => {
+            if (this.controller) {
+                this.controller.setLoop(this.loopCheckbox.checked ? 'repeat' : 'once');
+            }
+        });
+
+        // Pause while dragging so the pose follows the thumb, not the clock
+        this.scrubber.addEventListener('pointerdown', () => {
+            this.scrubbing = true;
+        });
+        this.scrubber.addEventListener('input', () => {
+            if (!this.controller) return;
+            this.controller.seek(Number(this.scrubber.value) * this.controller.getDuration());
+        });
+        this.scrubber.addEventListener('change', () => {
+            this.scrubbing = false;
+        });
+    }
+
+    // Switches the panel to another controller (or none); called when the
+    // active target changes
+    bind(controller) {
+        this.controller = controller;
+        this.select.innerHTML = '';
+
+        const clipNames = controller ? controller.getClipNames() : [];
+        clipNames.forEach((name, index) => {
+            const option = document.createElement('option');
+            option.value = name;
+            option.textContent = name || t('animation.clipNumber', { number: index + 1 });
+            this.select.appendChild(option);
+        });
+
+        this.toggle.classList.toggle('hidden', clipNames.length === 0);
+        if (clipNames.length === 0) {
+            this.setOpen(false);
+        }
+        this.sync();
+    }
+
+    setOpen(open) {
+        this.panel.classList.toggle('hidden', !open);
+        this.toggle.setAttribute('aria-expanded', String(open));
+    }
+
+    isOpen() {
+        return !this.panel.classList.contains('hidden');
+    }
+
+    // Reflects the controller's state; called every frame while open
+    sync() {
+        const { controller } = this;
+        if (!controller) return;
+
+        const name = controller.getCurrentName();
+        if (name !== null && this.select.value !== name) {
+            this.select.value = name;
+        }
+
+        const playing = Boolean(controller.current) && !controller.paused && !controller.isFinished();
+        this.playButton.classList.toggle('paused', !playing);
+        this.playButton.setAttribute('aria-label', playing ? t('animation.pause') : t('animation.play'));
+        this.loopCheckbox.checked = controller.loop === 'repeat';
+
+        const duration = controller.getDuration();
+        const time = controller.getTime();
+        if (!this.scrubbing) {
+            this.scrubber.value = duration > 0 ? String(time / duration) : '0';
+        }
+        this.timeLabel.textContent = `${time.toFixed(1)} / ${duration.toFixed(1)}s`;
+    }
+}
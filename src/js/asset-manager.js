@@ -0,0 +1,194 @@
+// Loads glTF assets on demand and keeps them in a memory-budgeted LRU cache.
+//
+// Assets are keyed by URL. While a caller holds an asset with retain() it is
+// never evicted; released assets stay cached until the budget is exceeded,
+// then the least recently used ones are dropped and their geometries,
+// materials and textures disposed so the GPU memory is actually freed.
+
+export const AssetState = {
+    IDLE: 'idle',
+    LOADING: 'loading',
+    LOADED: 'loaded',
+    ERROR: 'error'
+};
+
+export class AssetManager {
+    constructor({ loader, budgetBytes, onStateChange = () => {}, onEvict = () => {} }) {
+        this.loader = loader;
+        this.budgetBytes = budgetBytes;
+        this.onStateChange = onStateChange; // (url, state, error) => void
+        this.onEvict = onEvict; // (url) => void, drop every instance of the asset
+        this.entries = new Map(); // url -> entry, in least -> most recently used order
+    }
+
+    getState(url) {
+        const entry = this.entries.get(url);
+        return entry ? entry.state : AssetState.IDLE;
+    }
+
+    // Total estimated memory of all loaded assets
+    getUsedBytes() {
+        let total = 0;
+        this.entries.forEach(entry => {
+            total += entry.bytes;
+        });
+        return total;
+    }
+
+    load(url) {
+        let entry = this.entries.get(url);
+
+        if (entry && entry.state !== AssetState.ERROR) {
+            this.touch(url, entry);
+            return entry.promise;
+        }
+
+        entry = {
+            state: AssetState.LOADING,
+            gltf: null,
+            bytes: 0,
+            refs: entry ? entry.refs : 0,
+            promise: null
+        };
+
+        entry.promise = this.loader.loadAsync(url).then(gltf => {
+            // Evicted or reloaded while in flight
+            if (this.entries.get(url) !== entry) {
+                disposeObject(gltf.scene);
+                throw new Error(`Asset ${url} was evicted while loading`);
+            }
+
+            entry.gltf = gltf;
+            entry.bytes = estimateBytes(gltf.scene);
+            this.setState(url, entry, AssetState.LOADED);
+            // Not the asset itself: its caller hasn't had it yet
+            this.evictToBudget(url);
+            return gltf;
+        }, error => {
+            if (this.entries.get(url) === entry) {
+                this.setState(url, entry, AssetState.ERROR, error);
+            }
+            throw error;
+        });
+
+        this.entries.delete(url);
+        this.entries.set(url, entry);
+        this.setState(url, entry, AssetState.LOADING);
+        return entry.promise;
+    }
+
+    // Starts loading in the background, errors are only reported through onStateChange
+    prefetch(url) {
+        this.load(url).catch(() => {});
+    }
+
+    // Protects an asset from eviction until the matching release()
+    retain(url) {
+        const entry = this.entries.get(url);
+        if (entry) {
+            entry.refs++;
+            this.touch(url, entry);
+        }
+    }
+
+    release(url) {
+        const entry = this.entries.get(url);
+        if (entry && entry.refs > 0) {
+            entry.refs--;
+            this.evictToBudget();
+        }
+    }
+
+    // keepUrl stays even when it is the only asset that could go
+    evictToBudget(keepUrl = null) {
+        let usedBytes = this.getUsedBytes();
+
+        // Map iteration order is least recently used first
+        for (const [url, entry] of this.entries) {
+            if (usedBytes <= this.budgetBytes) break;
+            if (url === keepUrl || entry.refs > 0 || entry.state !== AssetState.LOADED) continue;
+
+            usedBytes -= entry.bytes;
+            this.evict(url);
+        }
+    }
+
+    evict(url) {
+        const entry = this.entries.get(url);
+        if (!entry) return;
+
+        this.entries.delete(url);
+        this.onEvict(url);
+
+        if (entry.gltf) {
+            disposeObject(entry.gltf.scene);
+        }
+        this.onStateChange(url, AssetState.IDLE);
+    }
+
+    dispose() {
+        Array.from(this.entries.keys()).forEach(url => this.evict(url));
+    }
+
+    touch(url, entry) {
+        this.entries.delete(url);
+        this.entries.set(url, entry);
+    }
+
+    setState(url, entry, state, error) {
+        entry.state = state;
+        this.onStateChange(url, state, error);
+    }
+}
+
+// Frees the GPU resources of everything below root
+export function disposeObject(root) {
+    collectResources(root).forEach(resource => resource.dispose());
+}
+
+// Rough GPU footprint: vertex / index buffers plus RGBA textures with mipmaps
+function estimateBytes(root) {
+    let bytes = 0;
+
+    collectResources(root).forEach(resource => {
+        if (resource.isBufferGeometry) {
+            Object.values(resource.attributes).forEach(attribute => {
+                bytes += attribute.array.byteLength;
+            });
+            if (resource.index) {
+                bytes += resource.index.array.byteLength;
+            }
+        } else if (resource.isTexture) {
+            const image = resource.image;
+            if (image && image.width && image.height) {
+                bytes += image.width * image.height * 4 * (resource.generateMipmaps ? 4 / 3 : 1);
+            }
+        }
+    });
+
+    return bytes;
+}
+
+// Unique geometries, materials and textures used below root
+function collectResources(root) {
+    const resources = new Set();
+
+    root.traverse(child => {
+        if (child.geometry) {
+            resources.add(child.geometry);
+        }
+
+        const materials = Array.isArray(child.material) ? child.material : [child.material];
+        materials.forEach(material => {
+            if (!material) return;
+            resources.add(material);
+            Object.values(material).forEach(value => {
+                if (value && value.isTexture) {
+                    resources.add(value);
+                }
+            });
+        });
+    });
+
+    return resources;
+}
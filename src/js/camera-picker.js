@@ -0,0 +1,121 @@
+// Camera choice: which video input MindAR tracks with.
+//
+// Cameras come from enumerateDevices. Their labels only show up once camera
+// permission was granted, so the list is read after AR has started. Which
+// way a camera faces is taken from the running track, from the device's
+// capabilities where the browser reports them, and otherwise guessed from
+// the label. The visitor's choice is remembered by deviceId.
+import * as storage from './storage.js';
+
+const STORAGE_KEY = 'webar-camera';
+
+const FRONT_LABEL = /front|user|face|selfie/i;
+const BACK_LABEL = /back|rear|environment|world/i;
+
+export function readStoredCamera() {
+    return storage.get(STORAGE_KEY);
+}
+
+// null forgets the choice
+export function storeCamera(deviceId) {
+    storage.set(STORAGE_KEY, deviceId || null);
+}
+
+// [{ deviceId, label, number, facing }], facing being 'user', 'environment' or null.
+// activeTrack is the camera track MindAR is running, if any.
+export async function listCameras(activeTrack = null) {
+    if (!navigator.mediaDevices || typeof navigator.mediaDevices.enumerateDevices !== 'function') {
+        return [];
+    }
+
+    const active = activeTrack ? activeTrack.getSettings() : {};
+    const devices = await navigator.mediaDevices.enumerateDevices();
+
+    return devices
+        .filter(device => device.kind === 'videoinput' && device.deviceId)
+        .map((device, index) => ({
+            deviceId: device.deviceId,
+            label: device.label,
+            number: index + 1,
+            facing: device.deviceId === active.deviceId && active.facingMode
+                ? active.facingMode
+                : guessFacing(device)
+        }));
+}
+
+function guessFacing(device) {
+    if (typeof device.getCapabilities === 'function') {
+        const { facingMode = [] } = device.getCapabilities();
+        if (facingMode.includes('user')) return 'user';
+        if (facingMode.includes('environment')) return 'environment';
+    }
+    if (FRONT_LABEL.test(device.label)) return 'user';
+    if (BACK_LABEL.test(device.label)) return 'environment';
+    return null;
+}
+
+// The camera to switch to from the active one: the first facing the other
+// way, or simply the next one in the list
+export function nextCamera(cameras, activeDeviceId) {
+    const index = cameras.findIndex(camera => camera.deviceId === activeDeviceId);
+    const active = cameras[index];
+    const facing = active ? active.facing : null;
+
+    if (facing) {
+        const other = cameras.find(camera => camera.facing && camera.facing !== facing);
+        if (other) return other;
+    }
+    return cameras.length > 1 ? cameras[(index + 1) % cameras.length] : null;
+}
+
+// Toggle button and panel with the camera list and a flip button
+export class CameraPicker {
+    constructor({ toggle, panel, labelFor = camera => camera.label, onSelect = () => {}, onFlip = () => {} }) {
+        this.toggle = toggle;
+        this.panel = panel;
+        this.labelFor = labelFor; // (camera) => text for the list
+        this.cameras = [];
+
+        this.select = panel.querySelector('.camera-select');
+        this.flipButton = panel.querySelector('.camera-flip');
+
+        this.toggle.addEventListener('click', () => this.setOpen(this.panel.classList.contains('hidden')));
+        this.select.addEventListener('change', () => onSelect(this.select.value));
+        this.flipButton.addEventListener('click', () => onFlip());
+    }
+
+    // Fills the list; the button only shows when there is a choice
+    update(cameras, activeDeviceId) {
+        this.cameras = cameras;
+        this.select.innerHTML = '';
+        cameras.forEach(camera => {
+            const option = document.createElement('option');
+            option.value = camera.deviceId;
+            option.textContent = this.labelFor(camera);
+            this.select.appendChild(option);
+        });
+        if (activeDeviceId) {
+            this.select.value = activeDeviceId;
+        }
+
+        this.toggle.classList.toggle('hidden', cameras.length < 2);
+        if (cameras.length < 2) {
+            this.setOpen(false);
+        }
+    }
+
+    // Keeps the visitor from switching again while the tracker restarts
+    setBusy(busy) {
+        this.select.disabled = busy;
+        this.flipButton.disabled = busy;
+    }
+
+    setOpen(open) {
+        this.panel.classList.toggle('hidden', !open);
+        this.toggle.setAttribute('aria-expanded', String(open));
+    }
+
+    isOpen() {
+        return !this.panel.classList.contains('hidden');
+    }
+}
@@ -0,0 +1,209 @@
+// Branding drawn over screenshots and recordings.
+//
+// The manifest describes named overlay templates (capture.overlays) and each
+// target picks one with "overlay". A template can have a frame around the
+// picture, a watermark (logo image or text) in a corner, a caption band with
+// the exhibit title and a date stamp. Sizes are percentages of the shorter
+// canvas side, so the same template looks alike on the full-size capture
+// canvas and on the smaller one used while recording.
+import { i18n } from './i18n.js';
+
+const CORNERS = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+const TEMPLATE_DEFAULTS = {
+    frame: { color: '#ffffff', width: 1.5, inset: 2, radius: 3 },
+    watermark: { position: 'top-right', opacity: 0.85, margin: 4, color: '#ffffff' }, // size: logo width or font size
+    caption: { text: '{title}', position: 'bottom', size: 4, color: '#ffffff', background: '#000000', backgroundOpacity: 0.55 },
+    date: { position: 'bottom-right', size: 2.5, margin: 4, color: '#ffffff', format: 'date' }
+};
+
+const DATE_FORMATS = {
+    date: { dateStyle: 'long' },
+    dateTime: { dateStyle: 'long', timeStyle: 'short' }
+};
+
+export class CaptureOverlay {
+    constructor(templates = {}) {
+        this.templates = templates;
+        this.images = new Map(); // URL -> HTMLImageElement
+        this.formatters = new Map(); // language + format -> Intl.DateTimeFormat
+
+        // Logos load up front so the first capture already has them
+        Object.values(templates).forEach(template => {
+            if (template.watermark && template.watermark.image) {
+                this.loadImage(template.watermark.image);
+            }
+        });
+    }
+
+    has(name) {
+        return Object.prototype.hasOwnProperty.call(this.templates, name);
+    }
+
+    // title: exhibit title for the caption; date: the capture time
+    draw(ctx, width, height, name, { title = '', date = new Date() } = {}) {
+        const template = this.templates[name];
+        if (!template || width === 0 || height === 0) return;
+
+        const unit = Math.min(width, height) / 100;
+        const insets = { top: 0, bottom: 0 }; // Caption band height, corner items keep clear of it
+
+        ctx.save();
+        ctx.direction = i18n.getDirection();
+
+        // The frame goes over the caption band rather than under it
+        if (template.caption) {
+            this.drawCaption(ctx, width, height, unit, { ...TEMPLATE_DEFAULTS.caption, ...template.caption }, title, insets);
+        }
+        if (template.frame) {
+            drawFrame(ctx, width, height, unit, { ...TEMPLATE_DEFAULTS.frame, ...template.frame });
+        }
+        if (template.watermark) {
+            this.drawWatermark(ctx, width, height, unit, { ...TEMPLATE_DEFAULTS.watermark, ...template.watermark }, insets);
+        }
+        if (template.date) {
+            this.drawDate(ctx, width, height, unit, { ...TEMPLATE_DEFAULTS.date, ...template.date }, date, insets);
+        }
+
+        ctx.restore();
+    }
+
+    drawCaption(ctx, width, height, unit, caption, title, insets) {
+        const text = (i18n.pick(caption.text) || '').replace(/\{title\}/g, title).trim();
+        if (!text) return;
+
+        const padding = caption.size * unit * 0.6;
+        const fontSize = fitFontSize(ctx, text, caption.size * unit, width - padding * 2);
+        const bandHeight = fontSize + padding * 2;
+        const top = caption.position === 'top' ? 0 : height - bandHeight;
+
+        ctx.globalAlpha = caption.backgroundOpacity;
+        ctx.fillStyle = caption.background;
+        ctx.fillRect(0, top, width, bandHeight);
+
+        ctx.globalAlpha = 1;
+        ctx.fillStyle = caption.color;
+        ctx.font = font(fontSize, 'bold');
+        ctx.textAlign = 'center';
+        ctx.textBaseline = 'middle';
+        ctx.fillText(text, width / 2, top + bandHeight / 2);
+
+        insets[caption.position === 'top' ? 'top' : 'bottom'] = bandHeight;
+    }
+
+    drawWatermark(ctx, width, height, unit, watermark, insets) {
+        const margin = watermark.margin * unit;
+        ctx.globalAlpha = watermark.opacity;
+
+        if (watermark.image) {
+            const image = this.images.get(watermark.image);
+            if (!image || !image.complete || image.naturalWidth === 0) return; // Still loading, or failed
+
+            const drawWidth = (watermark.size !== undefined ? watermark.size : 20) * unit;
+            const drawHeight = drawWidth * image.naturalHeight / image.naturalWidth;
+            const { x, y } = cornerPosition(watermark.position, width, height, drawWidth, drawHeight, margin, insets);
+            ctx.drawImage(image, x, y, drawWidth, drawHeight);
+            return;
+        }
+
+        const text = i18n.pick(watermark.text);
+        if (!text) return;
+
+        const fontSize = (watermark.size !== undefined ? watermark.size : 5) * unit;
+        ctx.font = font(fontSize, 'bold');
+        const textWidth = ctx.measureText(text).width;
+        const { x, y } = cornerPosition(watermark.position, width, height, textWidth, fontSize, margin, insets);
+
+        drawShadowedText(ctx, text, x, y, watermark.color, fontSize);
+    }
+
+    drawDate(ctx, width, height, unit, stamp, date, insets) {
+        const text = this.formatDate(date, stamp.format);
+        const fontSize = stamp.size * unit;
+        const margin = stamp.margin * unit;
+
+        ctx.globalAlpha = 1;
+        ctx.font = font(fontSize);
+        const textWidth = ctx.measureText(text).width;
+        const { x, y } = cornerPosition(stamp.position, width, height, textWidth, fontSize, margin, insets);
+
+        drawShadowedText(ctx, text, x, y, stamp.color, fontSize);
+    }
+
+    formatDate(date, format) {
+        const key = `${i18n.language}:${format}`;
+        if (!this.formatters.has(key)) {
+            this.formatters.set(key, new Intl.DateTimeFormat(i18n.language, DATE_FORMATS[format] || DATE_FORMATS.date));
+        }
+        return this.formatters.get(key).format(date);
+    }
+
+    loadImage(url) {
+        if (this.images.has(url)) return;
+
+        const image = new Image();
+        // A logo from another origin without CORS would taint the canvas and
+        // make every capture fail, so it is requested with CORS or not at all
+        image.crossOrigin = 'anonymous';
+        image.addEventListener('error', () => {
+            console.error(`Failed to load capture watermark ${url}`);
+        });
+        image.src = url;
+        this.images.set(url, image);
+    }
+}
+
+function drawFrame(ctx, width, height, unit, frame) {
+    const lineWidth = frame.width * unit;
+    const inset = frame.inset * unit + lineWidth / 2;
+    const radius = frame.radius * unit;
+
+    ctx.globalAlpha = 1;
+    ctx.strokeStyle = frame.color;
+    ctx.lineWidth = lineWidth;
+    roundedRectPath(ctx, inset, inset, width - inset * 2, height - inset * 2, radius);
+    ctx.stroke();
+}
+
+// Top-left corner of a box of the given size placed in a corner
+function cornerPosition(position, width, height, boxWidth, boxHeight, margin, insets) {
+    const [vertical, horizontal] = (CORNERS.includes(position) ? position : 'bottom-right').split('-');
+    return {
+        x: horizontal === 'left' ? margin : width - margin - boxWidth,
+        y: vertical === 'top' ? margin + insets.top : height - margin - insets.bottom - boxHeight
+    };
+}
+
+// Shrinks the font until the text fits the width
+function fitFontSize(ctx, text, size, maxWidth) {
+    ctx.font = font(size, 'bold');
+    const textWidth = ctx.measureText(text).width;
+    return textWidth > maxWidth ? size * maxWidth / textWidth : size;
+}
+
+// Text stays readable over bright camera images
+function drawShadowedText(ctx, text, x, y, color, fontSize) {
+    ctx.textAlign = 'left';
+    ctx.textBaseline = 'top';
+    ctx.shadowColor = 'rgba(0, 0, 0, 0.6)';
+    ctx.shadowBlur = fontSize * 0.3;
+    ctx.fillStyle = color;
+    ctx.fillText(text, x, y);
+    ctx.shadowColor = 'transparent';
+    ctx.shadowBlur = 0;
+}
+
+function roundedRectPath(ctx, x, y, width, height, radius) {
+    const r = Math.min(radius, width / 2, height / 2);
+    ctx.beginPath();
+    ctx.moveTo(x + r, y);
+    ctx.arcTo(x + width, y, x + width, y + height, r);
+    ctx.arcTo(x + width, y + height, x, y + height, r);
+    ctx.arcTo(x, y + height, x, y, r);
+    ctx.arcTo(x, y, x + width, y, r);
+    ctx.closePath();
+}
+
+function font(size, weight = 'normal') {
+    return `${weight} ${Math.round(size)}px Arial, sans-serif`;
+}
@@ -0,0 +1,200 @@
+// Screenshots and recordings kept in IndexedDB for the gallery.
+//
+// Each record holds the file as a Blob plus a small JPEG thumbnail, the
+// exhibit it shows and when it was taken, so visitors can come back to their
+// captures later in the visit or on a return visit. Old captures are cleaned
+// up by age and count, and when the browser runs out of storage the oldest
+// ones make room for the new one.
+
+const DB_NAME = 'webar-captures';
+const DB_VERSION = 1;
+const STORE = 'captures';
+
+const THUMBNAIL_SIZE = 240; // Longer side, in pixels
+
+export const GALLERY_DEFAULTS = {
+    maxItems: 50,
+    maxAgeDays: 30
+};
+
+export class CaptureStore {
+    constructor({ maxItems = GALLERY_DEFAULTS.maxItems, maxAgeDays = GALLERY_DEFAULTS.maxAgeDays } = {}) {
+        this.maxItems = maxItems;
+        this.maxAgeDays = maxAgeDays;
+        this.dbPromise = null;
+        this.persistRequested = false;
+    }
+
+    // Rejects where IndexedDB is unavailable (some private browsing modes)
+    open() {
+        if (!this.dbPromise) {
+            this.dbPromise = new Promise((resolve, reject) => {
+                if (typeof indexedDB === 'undefined') {
+                    reject(new Error('IndexedDB is not available'));
+                    return;
+                }
+
+                const request = indexedDB.open(DB_NAME, DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const store = request.result.createObjectStore(STORE, { keyPath: 'id', autoIncrement: true });
+                    store.createIndex('createdAt', 'createdAt');
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+            this.dbPromise.catch(() => {
+                this.dbPromise = null;
+            });
+        }
+        return this.dbPromise;
+    }
+
+    // record: { kind: 'image' | 'video', blob, name, thumbnail, exhibit, exhibitTitle }
+    // Resolves with the stored record, id and createdAt included
+    async add(record) {
+        const entry = { ...record, type: record.blob.type, size: record.blob.size, createdAt: Date.now() };
+
+        await this.makeRoom(entry.size);
+        this.requestPersistence();
+
+        // The estimate is only a hint; evict and retry while the browser
+        // still says the store is full
+        for (;;) {
+            try {
+                entry.id = await this.request('readwrite', store => store.add(entry));
+                return entry;
+            } catch (error) {
+                if (!isQuotaError(error) || !(await this.deleteOldest())) {
+                    throw error;
+                }
+                console.warn('Capture storage full, removed the oldest capture');
+            }
+        }
+    }
+
+    // Newest first
+    async list() {
+        const records = await this.request('readonly', store => store.index('createdAt').getAll());
+        return records.reverse();
+    }
+
+    get(id) {
+        return this.request('readonly', store => store.get(id));
+    }
+
+    delete(id) {
+        return this.request('readwrite', store => store.delete(id));
+    }
+
+    // Drops captures older than maxAgeDays and all but the newest `keep`
+    async cleanup(keep = this.maxItems) {
+        const records = await this.list();
+        const cutoff = Date.now() - this.maxAgeDays * 24 * 60 * 60 * 1000;
+        const expired = records.filter((record, index) => index >= keep || record.createdAt < cutoff);
+
+        for (const record of expired) {
+            await this.delete(record.id);
+        }
+        if (expired.length > 0) {
+            console.log(`Removed ${expired.length} old capture(s)`);
+        }
+        return expired.length;
+    }
+
+    // { usage, quota } in bytes for the whole origin, null where unknown
+    async estimate() {
+        if (!navigator.storage || typeof navigator.storage.estimate !== 'function') {
+            return null;
+        }
+        try {
+            const { usage, quota } = await navigator.storage.estimate();
+            return { usage, quota };
+        } catch (error) {
+            return null;
+        }
+    }
+
+    // Leaves room for one more capture under maxItems, and evicts the oldest
+    // captures until the new one should fit, keeping 10% of the quota free
+    // for everything else the page stores
+    async makeRoom(size) {
+        await this.cleanup(Math.max(0, this.maxItems - 1));
+
+        const estimate = await this.estimate();
+        if (!estimate || !estimate.quota) return;
+
+        let { usage } = estimate;
+        const limit = estimate.quota * 0.9;
+        if (usage + size <= limit) return;
+
+        // The usage is the whole origin's; when the gallery can't free enough
+        // on its own, emptying it wouldn't help. The quota retry in add()
+        // has the last word.
+        const oldestFirst = (await this.list()).reverse();
+        const galleryBytes = oldestFirst.reduce((total, record) => total + recordBytes(record), 0);
+        if (usage - galleryBytes + size > limit) return;
+
+        for (const record of oldestFirst) {
+            if (usage + size <= limit) break;
+            await this.delete(record.id);
+            usage -= recordBytes(record);
+            console.warn('Capture storage nearly full, removed the oldest capture');
+        }
+    }
+
+    async deleteOldest() {
+        const oldest = await this.request('readonly', store => store.index('createdAt').openCursor());
+        if (!oldest) return false;
+
+        await this.delete(oldest.primaryKey);
+        return true;
+    }
+
+    // Asks the browser not to evict the gallery under storage pressure;
+    // only once, and it's fine if the answer is no
+    requestPersistence() {
+        if (this.persistRequested || !navigator.storage || typeof navigator.storage.persist !== 'function') return;
+
+        this.persistRequested = true;
+        navigator.storage.persist().catch(() => {});
+    }
+
+    async request(mode, run) {
+        const db = await this.open();
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(STORE, mode);
+            const request = run(transaction.objectStore(STORE));
+            let result;
+
+            request.onsuccess = () => {
+                result = request.result;
+            };
+            transaction.oncomplete = () => resolve(result);
+            transaction.onerror = () => reject(transaction.error || request.error);
+            transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+        });
+    }
+}
+
+// Small JPEG of an image, canvas or video frame for the gallery list
+export function createThumbnail(source) {
+    const width = source.videoWidth || source.naturalWidth || source.width;
+    const height = source.videoHeight || source.naturalHeight || source.height;
+    if (!width || !height) return Promise.resolve(null);
+
+    const scale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height));
+    const canvas = document.createElement('canvas');
+    canvas.width = Math.round(width * scale);
+    canvas.height = Math.round(height * scale);
+    canvas.getContext('2d').drawImage(source, 0, 0, canvas.width, canvas.height);
+
+    return new Promise(resolve => canvas.toBlob(resolve, 'image/jpeg', 0.7));
+}
+
+function recordBytes(record) {
+    return record.size + (record.thumbnail ? record.thumbnail.size : 0);
+}
+
+function isQuotaError(error) {
+    return Boolean(error) && (error.name === 'QuotaExceededError' || error.code === 22);
+}
@@ -0,0 +1,104 @@
+// On-screen diagnostics for debugging on phones, where there is no console
+// without a USB cable.
+//
+// DebugHUD shows text lines handed over by WebARApp a few times a second and
+// toggles with ?debug or a hidden gesture: five quick taps in the top-left
+// corner of the screen. AnchorHelper draws axes and an outline of the target
+// image on an anchor, to see how well the pose fits the printed target.
+import * as THREE from 'three';
+
+const UPDATE_INTERVAL = 250; // ms between text updates
+const SECRET_TAPS = 5;
+const SECRET_CORNER = 60; // px from the top-left corner
+const SECRET_WINDOW = 3000; // ms for all the taps
+
+export class DebugHUD {
+    constructor({ enabled = false, onToggle = () => {} } = {}) {
+        this.onToggle = onToggle; // (enabled) => void
+        this.enabled = false;
+        this.lastUpdate = 0;
+        this.taps = [];
+
+        this.element = document.createElement('pre');
+        this.element.id = 'debug-hud';
+        this.element.className = 'hidden';
+        this.element.setAttribute('aria-hidden', 'true');
+        document.body.appendChild(this.element);
+
+        // Capture phase, so buttons and the gesture controller can't swallow it
+        window.addEventListener('pointerdown', (event) => this.countSecretTap(event), true);
+
+        this.setEnabled(enabled);
+    }
+
+    countSecretTap(event) {
+        if (event.clientX > SECRET_CORNER || event.clientY > SECRET_CORNER) {
+            this.taps = [];
+            return;
+        }
+
+        this.taps = this.taps.filter(time => event.timeStamp - time < SECRET_WINDOW);
+        this.taps.push(event.timeStamp);
+        if (this.taps.length === SECRET_TAPS) {
+            this.taps = [];
+            this.setEnabled(!this.enabled);
+        }
+    }
+
+    setEnabled(enabled) {
+        if (enabled === this.enabled) return;
+        this.enabled = enabled;
+        this.element.classList.toggle('hidden', !enabled);
+        this.lastUpdate = 0;
+        this.onToggle(enabled);
+    }
+
+    // getLines() is only called when the text is due for an update
+    update(currentTime, getLines) {
+        if (!this.enabled || currentTime - this.lastUpdate < UPDATE_INTERVAL) return;
+        this.lastUpdate = currentTime;
+        this.element.textContent = getLines().join('\n');
+    }
+}
+
+// Axes (x red, y green, z blue) and a wireframe of the target image. MindAR
+// anchors are one target width wide; the height follows the image's aspect.
+export class AnchorHelper {
+    constructor() {
+        this.group = new THREE.Group();
+        this.group.name = 'debug-anchor-helper';
+
+        this.axes = new THREE.AxesHelper(0.5);
+        this.plane = new THREE.LineSegments(
+            new THREE.EdgesGeometry(new THREE.PlaneGeometry(1, 1)),
+            new THREE.LineBasicMaterial({ color: 0x00ffff, depthTest: false })
+        );
+        this.diagonals = new THREE.LineSegments(
+            new THREE.BufferGeometry().setFromPoints([
+                new THREE.Vector3(-0.5, -0.5, 0), new THREE.Vector3(0.5, 0.5, 0),
+                new THREE.Vector3(-0.5, 0.5, 0), new THREE.Vector3(0.5, -0.5, 0)
+            ]),
+            new THREE.LineBasicMaterial({ color: 0x00ffff, transparent: true, opacity: 0.4, depthTest: false })
+        );
+        this.axes.renderOrder = 999;
+        this.plane.renderOrder = 999;
+        this.diagonals.renderOrder = 999;
+
+        this.group.add(this.axes, this.plane, this.diagonals);
+    }
+
+    // dimensions: [width, height] of the target image, when known
+    setDimensions(dimensions) {
+        const aspect = dimensions && dimensions[0] ? dimensions[1] / dimensions[0] : 1;
+        this.plane.scale.y = aspect;
+        this.diagonals.scale.y = aspect;
+    }
+
+    dispose() {
+        this.group.removeFromParent();
+        [this.axes, this.plane, this.diagonals].forEach(object => {
+            object.geometry.dispose();
+            object.material.dispose();
+        });
+    }
+}
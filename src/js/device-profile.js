@@ -0,0 +1,230 @@
+// One place that works out what the device can do.
+//
+// Everything is feature-detected once at startup: platform (iPadOS included -
+// it reports itself as a Mac, but has touch), touch input, memory and CPU
+// hints, WebGL limits, MediaRecorder formats, canvas captureStream and the Web
+// Share API. The profile also carries a quality tier the rest of the app
+// reads instead of asking "is this a phone?".
+//
+// ?profile= forces parts of the profile when testing, as a comma separated
+// list of a platform (ios, android, desktop) and / or a tier (low, medium,
+// high), e.g. ?profile=ios,low.
+
+export const QUALITY_TIERS = ['low', 'medium', 'high'];
+
+// What each tier renders with. extraLights: lights flagged "mobile": false in
+// the manifest; mipmaps / anisotropy: model texture filtering.
+export const QUALITY_SETTINGS = {
+    low: { maxPixelRatio: 1, targetFPS: 30, shadows: false, extraLights: false, canvasUpdateInterval: 150, mipmaps: false, anisotropy: 1 },
+    medium: { maxPixelRatio: 2, targetFPS: 30, shadows: false, extraLights: false, canvasUpdateInterval: 100, mipmaps: true, anisotropy: 1 },
+    high: { maxPixelRatio: 2, targetFPS: 60, shadows: true, extraLights: true, canvasUpdateInterval: 50, mipmaps: true, anisotropy: 4 }
+};
+
+// Recording formats in order of preference. iOS can only record MP4; other
+// browsers get H.264 first because it plays back everywhere. The audio lists
+// name an audio codec too and are preferred when a recording has sound.
+const RECORDING_MIME_TYPES = {
+    ios: [
+        'video/mp4',
+        'video/mp4;codecs=avc1.42E01E',
+        'video/mp4;codecs=avc1',
+        'video/webm;codecs=vp8',
+        'video/webm'
+    ],
+    default: [
+        'video/mp4;codecs=h264',
+        'video/mp4;codecs=avc1',
+        'video/mp4',
+        'video/webm;codecs=vp9',
+        'video/webm;codecs=vp8',
+        'video/webm'
+    ]
+};
+
+const RECORDING_AUDIO_MIME_TYPES = {
+    ios: [
+        'video/mp4;codecs=avc1.42E01E,mp4a.40.2',
+        'video/mp4;codecs=avc1,mp4a.40.2'
+    ],
+    default: [
+        'video/mp4;codecs=avc1,mp4a.40.2',
+        'video/mp4;codecs=avc1,opus',
+        'video/webm;codecs=vp9,opus',
+        'video/webm;codecs=vp8,opus'
+    ]
+};
+
+const PLATFORMS = ['ios', 'android', 'desktop'];
+
+export function detectDeviceProfile({ search = window.location.search } = {}) {
+    const overrides = parseOverrides(new URLSearchParams(search).get('profile'));
+
+    const touch = detectTouch();
+    const platform = overrides.platform || detectPlatform(touch);
+    const isIOS = platform === 'ios';
+    const isAndroid = platform === 'android';
+
+    const profile = {
+        platform,
+        isIOS,
+        isAndroid,
+        // Phones and tablets: touch-first, whatever the user agent claims
+        isMobile: isIOS || isAndroid || (overrides.platform === undefined && touch.coarsePointer && touch.maxTouchPoints > 0),
+        // Every iOS browser is WebKit; GestureEvent only exists in WebKit
+        isWebKit: isIOS || typeof window.GestureEvent !== 'undefined',
+        touch,
+        memoryGB: typeof navigator.deviceMemory === 'number' ? navigator.deviceMemory : null,
+        cores: navigator.hardwareConcurrency || null,
+        pixelRatio: window.devicePixelRatio || 1,
+        webgl: detectWebGL(),
+        recording: detectRecording(isIOS),
+        share: detectShare(),
+        overridden: Boolean(overrides.platform || overrides.tier),
+        tierForced: Boolean(overrides.tier)
+    };
+
+    profile.tier = overrides.tier || computeTier(profile);
+    return profile;
+}
+
+// Rough guess from the hardware hints
+function computeTier(profile) {
+    const { webgl, memoryGB, cores, isMobile } = profile;
+
+    const isLow = !webgl.supported ||
+        webgl.maxTextureSize < 4096 ||
+        (memoryGB !== null && memoryGB <= 2) ||
+        (cores !== null && cores <= 2);
+    if (isLow) return 'low';
+
+    if (isMobile) {
+        const isFlagship = (memoryGB === null || memoryGB >= 6) && cores !== null && cores >= 8 && webgl.version === 2;
+        return isFlagship ? 'high' : 'medium';
+    }
+
+    return cores !== null && cores < 4 ? 'medium' : 'high';
+}
+
+function detectPlatform(touch) {
+    const userAgent = navigator.userAgent || '';
+
+    // iPadOS 13+ asks for the desktop site and reports "Macintosh"; a Mac
+    // with a multi-touch screen doesn't exist, so touch gives it away
+    if (/iPad|iPhone|iPod/.test(userAgent) || (/Macintosh/.test(userAgent) && touch.maxTouchPoints > 1)) {
+        return 'ios';
+    }
+    if (/Android/.test(userAgent)) {
+        return 'android';
+    }
+    return 'desktop';
+}
+
+function detectTouch() {
+    const coarse = typeof window.matchMedia === 'function' && window.matchMedia('(pointer: coarse)').matches;
+    return {
+        maxTouchPoints: navigator.maxTouchPoints || 0,
+        coarsePointer: coarse
+    };
+}
+
+function detectWebGL() {
+    const canvas = document.createElement('canvas');
+    let gl = null;
+    let version = 0;
+
+    try {
+        gl = canvas.getContext('webgl2');
+        version = gl ? 2 : 0;
+        if (!gl) {
+            gl = canvas.getContext('webgl');
+            version = gl ? 1 : 0;
+        }
+    } catch (error) {
+        gl = null;
+    }
+
+    if (!gl) {
+        return { supported: false, version: 0, maxTextureSize: 0, maxRenderbufferSize: 0, maxAnisotropy: 0, renderer: null };
+    }
+
+    const debugInfo = gl.getExtension('WEBGL_debug_renderer_info');
+    const anisotropic = gl.getExtension('EXT_texture_filter_anisotropic');
+
+    const limits = {
+        supported: true,
+        version,
+        maxTextureSize: gl.getParameter(gl.MAX_TEXTURE_SIZE),
+        maxRenderbufferSize: gl.getParameter(gl.MAX_RENDERBUFFER_SIZE),
+        maxAnisotropy: anisotropic ? gl.getParameter(anisotropic.MAX_TEXTURE_MAX_ANISOTROPY_EXT) : 0,
+        renderer: debugInfo ? gl.getParameter(debugInfo.UNMASKED_RENDERER_WEBGL) : null
+    };
+
+    // Give the context back right away, browsers only allow a handful
+    const loseContext = gl.getExtension('WEBGL_lose_context');
+    if (loseContext) {
+        loseContext.loseContext();
+    }
+
+    return limits;
+}
+
+function detectRecording(isIOS) {
+    const mediaRecorder = typeof window.MediaRecorder === 'function';
+    const captureStream = typeof HTMLCanvasElement !== 'undefined' &&
+        typeof HTMLCanvasElement.prototype.captureStream === 'function';
+
+    const platform = isIOS ? 'ios' : 'default';
+    const supported = candidates => (
+        mediaRecorder && typeof MediaRecorder.isTypeSupported === 'function'
+            ? candidates.filter(type => MediaRecorder.isTypeSupported(type))
+            : []
+    );
+    const mimeTypes = supported(RECORDING_MIME_TYPES[platform]);
+    const audioMimeTypes = supported(RECORDING_AUDIO_MIME_TYPES[platform]);
+
+    return {
+        supported: mediaRecorder && captureStream,
+        mediaRecorder,
+        captureStream,
+        mimeTypes,
+        mimeType: mimeTypes[0] || null,
+        audioMimeTypes,
+        // Falls back to the plain format; most browsers add their default
+        // audio codec to it
+        audioMimeType: audioMimeTypes[0] || mimeTypes[0] || null,
+        // Web Audio can turn a mix into a MediaStream track
+        audio: typeof window.MediaStreamAudioDestinationNode === 'function'
+    };
+}
+
+function detectShare() {
+    const share = typeof navigator.share === 'function';
+    let files = false;
+
+    if (share && typeof navigator.canShare === 'function' && typeof File === 'function') {
+        try {
+            files = navigator.canShare({ files: [new File([''], 'probe.png', { type: 'image/png' })] });
+        } catch (error) {
+            files = false;
+        }
+    }
+
+    return { supported: share, files };
+}
+
+function parseOverrides(value) {
+    const overrides = {};
+    if (!value) return overrides;
+
+    value.split(',').map(part => part.trim().toLowerCase()).forEach(part => {
+        if (PLATFORMS.includes(part)) {
+            overrides.platform = part;
+        } else if (QUALITY_TIERS.includes(part)) {
+            overrides.tier = part;
+        } else if (part) {
+            console.warn(`Ignoring unknown ?profile= value "${part}"`);
+        }
+    });
+
+    return overrides;
+}
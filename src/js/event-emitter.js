@@ -0,0 +1,40 @@
+// Listener registry behind WebARApp's public events (see README, JavaScript API).
+//
+// A failing listener is logged and doesn't keep the others, or the app, from
+// running.
+
+export class EventEmitter {
+    constructor() {
+        this.listeners = new Map(); // type -> [listener]
+    }
+
+    // Returns a function that removes the listener again
+    on(type, listener) {
+        if (!this.listeners.has(type)) {
+            this.listeners.set(type, []);
+        }
+        this.listeners.get(type).push(listener);
+        return () => this.off(type, listener);
+    }
+
+    off(type, listener) {
+        const listeners = this.listeners.get(type);
+        if (!listeners) return;
+
+        const index = listeners.indexOf(listener);
+        if (index !== -1) {
+            listeners.splice(index, 1);
+        }
+    }
+
+    emit(type, detail) {
+        // A copy, so listeners can remove themselves
+        (this.listeners.get(type) || []).slice().forEach(listener => {
+            try {
+                listener(detail);
+            } catch (error) {
+                console.error(`"${type}" listener failed:`, error);
+            }
+        });
+    }
+}
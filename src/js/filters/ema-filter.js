@@ -0,0 +1,37 @@
+// Exponential moving average for poses: every sample moves the output a fixed
+// fraction (alpha) of the way towards the measurement. Rotation uses slerp so
+// it never averages Euler angles across the ±π seam.
+import { slerp } from './quaternion.js';
+
+export const EMA_DEFAULTS = {
+    position: { alpha: 0.5 }, // 0 = frozen, 1 = no smoothing
+    rotation: { alpha: 0.5 }
+};
+
+export class EmaPoseFilter {
+    constructor(options = {}) {
+        this.position = { ...EMA_DEFAULTS.position, ...options.position };
+        this.rotation = { ...EMA_DEFAULTS.rotation, ...options.rotation };
+        this.reset();
+    }
+
+    reset() {
+        this.lastPose = null;
+    }
+
+    filter(pose) {
+        if (!this.lastPose) {
+            this.lastPose = { position: [...pose.position], quaternion: [...pose.quaternion] };
+            return this.lastPose;
+        }
+
+        const { position: lastPosition, quaternion: lastQuaternion } = this.lastPose;
+        const alpha = this.position.alpha;
+
+        this.lastPose = {
+            position: lastPosition.map((value, i) => value + (pose.position[i] - value) * alpha),
+            quaternion: slerp(lastQuaternion, pose.quaternion, this.rotation.alpha)
+        };
+        return this.lastPose;
+    }
+}
@@ -0,0 +1,123 @@
+// Constant-velocity Kalman filter for poses. Position runs one [value,
+// velocity] filter per axis. Rotation uses an error-state formulation: the
+// orientation is kept as a quaternion and each axis filter tracks the small
+// rotation-vector error and angular velocity around it, so the estimate never
+// passes through Euler angles.
+import {
+    alignHemisphere,
+    conjugate,
+    fromRotationVector,
+    multiply,
+    normalize,
+    toRotationVector
+} from './quaternion.js';
+
+export const KALMAN_DEFAULTS = {
+    // processNoise: acceleration noise density, measurementNoise: variance of a sample
+    position: { processNoise: 100000, measurementNoise: 4 },
+    rotation: { processNoise: 100, measurementNoise: 0.0001 }
+};
+
+// Two-state [value, velocity] Kalman filter with white-noise acceleration
+class ConstantVelocityKalman {
+    constructor(processNoise, measurementNoise) {
+        this.q = processNoise;
+        this.r = measurementNoise;
+        this.x = 0;
+        this.v = 0;
+        this.p00 = measurementNoise;
+        this.p01 = 0;
+        this.p10 = 0;
+        this.p11 = processNoise;
+    }
+
+    predict(dt) {
+        this.x += this.v * dt;
+
+        // P = F P Fᵀ + Q with F = [[1, dt], [0, 1]]
+        const { p00, p01, p10, p11, q } = this;
+        this.p00 = p00 + dt * (p10 + p01) + dt * dt * p11 + q * dt * dt * dt / 3;
+        this.p01 = p01 + dt * p11 + q * dt * dt / 2;
+        this.p10 = p10 + dt * p11 + q * dt * dt / 2;
+        this.p11 = p11 + q * dt;
+    }
+
+    update(measurement) {
+        const innovation = measurement - this.x;
+        const s = this.p00 + this.r;
+        const k0 = this.p00 / s;
+        const k1 = this.p10 / s;
+
+        this.x += k0 * innovation;
+        this.v += k1 * innovation;
+
+        const { p00, p01, p10, p11 } = this;
+        this.p00 = (1 - k0) * p00;
+        this.p01 = (1 - k0) * p01;
+        this.p10 = p10 - k1 * p00;
+        this.p11 = p11 - k1 * p01;
+    }
+}
+
+export class KalmanPoseFilter {
+    constructor(options = {}) {
+        this.position = { ...KALMAN_DEFAULTS.position, ...options.position };
+        this.rotation = { ...KALMAN_DEFAULTS.rotation, ...options.rotation };
+        this.reset();
+    }
+
+    reset() {
+        this.lastTime = null;
+        this.quaternion = null;
+        this.positionAxes = null;
+        this.rotationAxes = null;
+    }
+
+    filter(pose, timestamp) {
+        if (!this.quaternion) {
+            this.lastTime = timestamp;
+            this.quaternion = normalize(pose.quaternion);
+            this.positionAxes = pose.position.map(value => {
+                const axis = new ConstantVelocityKalman(this.position.processNoise, this.position.measurementNoise);
+                axis.x = value;
+                return axis;
+            });
+            this.rotationAxes = [0, 1, 2].map(() => (
+                new ConstantVelocityKalman(this.rotation.processNoise, this.rotation.measurementNoise)
+            ));
+            return { position: [...pose.position], quaternion: [...this.quaternion] };
+        }
+
+        // Seconds since the previous sample; assume 60 fps for duplicate timestamps
+        const dt = timestamp > this.lastTime ? (timestamp - this.lastTime) / 1000 : 1 / 60;
+        this.lastTime = timestamp;
+
+        // Position
+        const position = this.positionAxes.map((axis, i) => {
+            axis.predict(dt);
+            axis.update(pose.position[i]);
+            return axis.x;
+        });
+
+        // Rotation: fold the predicted error into the reference orientation...
+        this.rotationAxes.forEach(axis => axis.predict(dt));
+        this.quaternion = this.applyRotationError();
+
+        // ...then correct with the residual between measurement and prediction
+        const measured = alignHemisphere(pose.quaternion, this.quaternion);
+        const residual = toRotationVector(multiply(measured, conjugate(this.quaternion)));
+        this.rotationAxes.forEach((axis, i) => axis.update(residual[i]));
+        this.quaternion = this.applyRotationError();
+
+        return { position, quaternion: [...this.quaternion] };
+    }
+
+    // Moves the per-axis error states into the quaternion and zeroes them
+    applyRotationError() {
+        const error = this.rotationAxes.map(axis => axis.x);
+        this.rotationAxes.forEach(axis => {
+            axis.x = 0;
+        });
+        return normalize(multiply(fromRotationVector(error), this.quaternion));
+    }
+}
@@ -0,0 +1,77 @@
+// One Euro filter (Casiez et al., CHI 2012) for poses. The cutoff frequency
+// rises with speed, so slow movement is smoothed heavily while fast movement
+// keeps little lag. Rotation is filtered on the quaternion with slerp and an
+// angular speed taken from the rotation vector between samples.
+import { alignHemisphere, conjugate, multiply, slerp, toRotationVector } from './quaternion.js';
+
+export const ONE_EURO_DEFAULTS = {
+    position: { minCutoff: 1.0, beta: 0.005, dCutoff: 1.0 }, // beta in 1 / (units per second)
+    rotation: { minCutoff: 1.0, beta: 0.5, dCutoff: 1.0 } // beta in 1 / (radians per second)
+};
+
+// Smoothing factor for a first-order low-pass at cutoff Hz
+function smoothingFactor(cutoff, dt) {
+    const tau = 1 / (2 * Math.PI * cutoff);
+    return 1 / (1 + tau / dt);
+}
+
+function lerpVector(a, b, t) {
+    return a.map((value, i) => value + (b[i] - value) * t);
+}
+
+function length(v) {
+    return Math.hypot(...v);
+}
+
+export class OneEuroPoseFilter {
+    constructor(options = {}) {
+        this.position = { ...ONE_EURO_DEFAULTS.position, ...options.position };
+        this.rotation = { ...ONE_EURO_DEFAULTS.rotation, ...options.rotation };
+        this.reset();
+    }
+
+    reset() {
+        this.lastTime = null;
+        this.lastPose = null;
+        this.positionVelocity = [0, 0, 0];
+        this.angularVelocity = [0, 0, 0];
+    }
+
+    filter(pose, timestamp) {
+        if (!this.lastPose) {
+            this.lastTime = timestamp;
+            this.lastPose = { position: [...pose.position], quaternion: [...pose.quaternion] };
+            return this.lastPose;
+        }
+
+        // Seconds since the previous sample; assume 60 fps for duplicate timestamps
+        const dt = timestamp > this.lastTime ? (timestamp - this.lastTime) / 1000 : 1 / 60;
+        this.lastTime = timestamp;
+
+        const { position: lastPosition, quaternion: lastQuaternion } = this.lastPose;
+
+        // Position
+        const velocity = pose.position.map((value, i) => (value - lastPosition[i]) / dt);
+        this.positionVelocity = lerpVector(
+            this.positionVelocity,
+            velocity,
+            smoothingFactor(this.position.dCutoff, dt)
+        );
+        const positionCutoff = this.position.minCutoff + this.position.beta * length(this.positionVelocity);
+        const position = lerpVector(lastPosition, pose.position, smoothingFactor(positionCutoff, dt));
+
+        // Rotation
+        const quaternion = alignHemisphere(pose.quaternion, lastQuaternion);
+        const delta = toRotationVector(multiply(quaternion, conjugate(lastQuaternion)));
+        this.angularVelocity = lerpVector(
+            this.angularVelocity,
+            delta.map(value => value / dt),
+            smoothingFactor(this.rotation.dCutoff, dt)
+        );
+        const rotationCutoff = this.rotation.minCutoff + this.rotation.beta * length(this.angularVelocity);
+        const filteredQuaternion = slerp(lastQuaternion, quaternion, smoothingFactor(rotationCutoff, dt));
+
+        this.lastPose = { position, quaternion: filteredQuaternion };
+        return this.lastPose;
+    }
+}
@@ -0,0 +1,37 @@
+// Pose filter interface used by WebARApp to smooth anchor poses.
+//
+// A pose is { position: [x, y, z], quaternion: [x, y, z, w] }. Every filter
+// implements:
+//   filter(pose, timestampMs) -> filtered pose
+//   reset()                   -> forget history (call when tracking restarts)
+//
+// Filters are selected per target with { type, position, rotation } where
+// position / rotation hold the filter-specific parameters.
+import { OneEuroPoseFilter, ONE_EURO_DEFAULTS } from './one-euro-filter.js';
+import { EmaPoseFilter, EMA_DEFAULTS } from './ema-filter.js';
+import { KalmanPoseFilter, KALMAN_DEFAULTS } from './kalman-filter.js';
+
+class PassthroughPoseFilter {
+    reset() {}
+
+    filter(pose) {
+        return pose;
+    }
+}
+
+export const POSE_FILTERS = {
+    none: { create: () => new PassthroughPoseFilter(), defaults: {} },
+    oneEuro: { create: options => new OneEuroPoseFilter(options), defaults: ONE_EURO_DEFAULTS },
+    ema: { create: options => new EmaPoseFilter(options), defaults: EMA_DEFAULTS },
+    kalman: { create: options => new KalmanPoseFilter(options), defaults: KALMAN_DEFAULTS }
+};
+
+export const DEFAULT_POSE_FILTER = 'oneEuro';
+
+export function createPoseFilter({ type = DEFAULT_POSE_FILTER, ...options } = {}) {
+    const entry = POSE_FILTERS[type];
+    if (!entry) {
+        throw new Error(`Unknown pose filter "${type}" (expected one of ${Object.keys(POSE_FILTERS).join(', ')})`);
+    }
+    return entry.create(options);
+}
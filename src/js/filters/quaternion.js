@@ -0,0 +1,85 @@
+// Small quaternion helpers for the pose filters. Quaternions are plain
+// [x, y, z, w] arrays so the filters stay free of Three.js and run in Node.
+
+export function normalize(q) {
+    const length = Math.hypot(q[0], q[1], q[2], q[3]) || 1;
+    return [q[0] / length, q[1] / length, q[2] / length, q[3] / length];
+}
+
+export function dot(a, b) {
+    return a[0] * b[0] + a[1] * b[1] + a[2] * b[2] + a[3] * b[3];
+}
+
+export function conjugate(q) {
+    return [-q[0], -q[1], -q[2], q[3]];
+}
+
+export function multiply(a, b) {
+    const [ax, ay, az, aw] = a;
+    const [bx, by, bz, bw] = b;
+    return [
+        aw * bx + ax * bw + ay * bz - az * by,
+        aw * by - ax * bz + ay * bw + az * bx,
+        aw * bz + ax * by - ay * bx + az * bw,
+        aw * bw - ax * bx - ay * by - az * bz
+    ];
+}
+
+// q and -q describe the same rotation; flip q onto the hemisphere of
+// reference so interpolation takes the short way round instead of wrapping
+export function alignHemisphere(q, reference) {
+    return dot(q, reference) < 0 ? [-q[0], -q[1], -q[2], -q[3]] : q;
+}
+
+export function slerp(a, b, t) {
+    b = alignHemisphere(b, a);
+    const cosTheta = Math.min(1, dot(a, b));
+
+    // Nearly identical rotations - plain lerp avoids dividing by ~0
+    if (cosTheta > 0.9995) {
+        return normalize([
+            a[0] + (b[0] - a[0]) * t,
+            a[1] + (b[1] - a[1]) * t,
+            a[2] + (b[2] - a[2]) * t,
+            a[3] + (b[3] - a[3]) * t
+        ]);
+    }
+
+    const theta = Math.acos(cosTheta);
+    const sinTheta = Math.sin(theta);
+    const wa = Math.sin((1 - t) * theta) / sinTheta;
+    const wb = Math.sin(t * theta) / sinTheta;
+    return [
+        a[0] * wa + b[0] * wb,
+        a[1] * wa + b[1] * wb,
+        a[2] * wa + b[2] * wb,
+        a[3] * wa + b[3] * wb
+    ];
+}
+
+// Rotation angle (radians, 0..π) between two orientations
+export function angleBetween(a, b) {
+    return 2 * Math.acos(Math.min(1, Math.abs(dot(a, b))));
+}
+
+// Logarithm map: unit quaternion -> rotation vector (axis * angle)
+export function toRotationVector(q) {
+    q = q[3] < 0 ? [-q[0], -q[1], -q[2], -q[3]] : q;
+    const sinHalf = Math.hypot(q[0], q[1], q[2]);
+    if (sinHalf < 1e-9) {
+        return [2 * q[0], 2 * q[1], 2 * q[2]];
+    }
+    const angle = 2 * Math.atan2(sinHalf, q[3]);
+    const scale = angle / sinHalf;
+    return [q[0] * scale, q[1] * scale, q[2] * scale];
+}
+
+// Exponential map: rotation vector (axis * angle) -> unit quaternion
+export function fromRotationVector(v) {
+    const angle = Math.hypot(v[0], v[1], v[2]);
+    if (angle < 1e-9) {
+        return normalize([v[0] / 2, v[1] / 2, v[2] / 2, 1]);
+    }
+    const scale = Math.sin(angle / 2) / angle;
+    return [v[0] * scale, v[1] * scale, v[2] * scale, Math.cos(angle / 2)];
+}
@@ -0,0 +1,204 @@
+// Drawer listing the captures kept in the CaptureStore.
+//
+// Every capture shows its thumbnail, exhibit and time, with buttons to view,
+// share, download or delete it. Viewing opens the full image or video inside
+// the drawer. Sharing and downloading are left to the app (onShare /
+// onDownload), which knows the share text and fallbacks.
+import { i18n, t } from './i18n.js';
+
+export class GalleryDrawer {
+    constructor({ toggle, drawer, store, onShare = () => {}, onDownload = () => {} }) {
+        this.toggle = toggle;
+        this.drawer = drawer;
+        this.store = store;
+        this.onShare = onShare; // (record) => void
+        this.onDownload = onDownload; // (record) => void
+        this.urls = []; // Object URLs of the rendered list, revoked on re-render
+        this.viewerURL = null;
+        this.returnFocus = null;
+
+        this.list = drawer.querySelector('.gallery-list');
+        this.empty = drawer.querySelector('.gallery-empty');
+        this.usage = drawer.querySelector('.gallery-usage');
+        this.viewer = drawer.querySelector('.gallery-viewer');
+        this.viewerMedia = drawer.querySelector('.gallery-viewer-media');
+
+        this.toggle.addEventListener('click', () => this.setOpen(this.drawer.classList.contains('hidden')));
+        drawer.querySelector('.gallery-close').addEventListener('click', () => this.setOpen(false));
+        drawer.querySelector('.gallery-viewer-back').addEventListener('click', () => this.closeViewer());
+        drawer.addEventListener('keydown', (event) => {
+            if (event.key !== 'Escape') return;
+            if (this.viewer.classList.contains('hidden')) {
+                this.setOpen(false);
+            } else {
+                this.closeViewer();
+            }
+        });
+    }
+
+    async setOpen(open) {
+        this.drawer.classList.toggle('hidden', !open);
+        this.toggle.setAttribute('aria-expanded', String(open));
+
+        if (open) {
+            this.returnFocus = document.activeElement;
+            await this.refresh();
+            this.drawer.querySelector('.gallery-close').focus({ preventScroll: true });
+        } else {
+            this.closeViewer();
+            this.clearList();
+            if (this.returnFocus && this.returnFocus.isConnected) {
+                this.returnFocus.focus();
+            }
+            this.returnFocus = null;
+        }
+    }
+
+    isOpen() {
+        return !this.drawer.classList.contains('hidden');
+    }
+
+    // Re-reads the store; called when the drawer opens and after changes
+    async refresh() {
+        let records;
+        try {
+            records = await this.store.list();
+        } catch (error) {
+            console.error('Failed to read the capture gallery:', error);
+            records = [];
+        }
+
+        this.clearList();
+        records.forEach(record => this.list.appendChild(this.renderItem(record)));
+        this.empty.classList.toggle('hidden', records.length > 0);
+        this.updateUsage(records);
+    }
+
+    renderItem(record) {
+        const item = document.createElement('li');
+        item.className = 'gallery-item';
+
+        const preview = document.createElement('button');
+        preview.type = 'button';
+        preview.className = 'gallery-thumb';
+        preview.setAttribute('aria-label', t('gallery.view', { exhibit: record.exhibitTitle }));
+        preview.addEventListener('click', () => this.openViewer(record));
+
+        if (record.thumbnail) {
+            const image = document.createElement('img');
+            image.alt = '';
+            image.src = this.createURL(record.thumbnail);
+            preview.appendChild(image);
+        }
+        if (record.kind === 'video') {
+            const badge = document.createElement('span');
+            badge.className = 'gallery-video-badge';
+            badge.setAttribute('aria-hidden', 'true');
+            badge.textContent = '▶';
+            preview.appendChild(badge);
+        }
+
+        const details = document.createElement('div');
+        details.className = 'gallery-details';
+
+        const title = document.createElement('p');
+        title.className = 'gallery-exhibit';
+        title.textContent = record.exhibitTitle;
+
+        const time = document.createElement('time');
+        time.dateTime = new Date(record.createdAt).toISOString();
+        time.textContent = formatTime(record.createdAt);
+
+        const actions = document.createElement('div');
+        actions.className = 'gallery-actions';
+        actions.append(
+            this.createAction(t('gallery.share'), () => this.onShare(record)),
+            this.createAction(t('gallery.download'), () => this.onDownload(record)),
+            this.createAction(t('gallery.delete'), () => this.remove(record))
+        );
+
+        details.append(title, time, actions);
+        item.append(preview, details);
+        return item;
+    }
+
+    createAction(label, onClick) {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.textContent = label;
+        button.addEventListener('click', onClick);
+        return button;
+    }
+
+    async remove(record) {
+        if (!window.confirm(t('gallery.confirmDelete'))) return;
+
+        try {
+            await this.store.delete(record.id);
+        } catch (error) {
+            console.error('Failed to delete capture:', error);
+        }
+        await this.refresh();
+        this.drawer.querySelector('.gallery-close').focus({ preventScroll: true });
+    }
+
+    openViewer(record) {
+        this.closeViewer();
+        this.viewerURL = URL.createObjectURL(record.blob);
+
+        let media;
+        if (record.kind === 'video') {
+            media = document.createElement('video');
+            media.controls = true;
+            media.playsInline = true;
+        } else {
+            media = document.createElement('img');
+            media.alt = record.exhibitTitle;
+        }
+        media.src = this.viewerURL;
+
+        this.viewerMedia.appendChild(media);
+        this.viewer.classList.remove('hidden');
+        this.viewer.querySelector('.gallery-viewer-back').focus({ preventScroll: true });
+    }
+
+    closeViewer() {
+        if (this.viewer.classList.contains('hidden')) return;
+
+        this.viewerMedia.innerHTML = '';
+        this.viewer.classList.add('hidden');
+        URL.revokeObjectURL(this.viewerURL);
+        this.viewerURL = null;
+    }
+
+    async updateUsage(records) {
+        const bytes = records.reduce((sum, record) => sum + record.size, 0);
+        const estimate = await this.store.estimate();
+
+        const used = t('gallery.usage', { count: records.length, size: formatSize(bytes) });
+        this.usage.textContent = estimate && estimate.quota
+            ? `${used} · ${t('gallery.available', { size: formatSize(estimate.quota - estimate.usage) })}`
+            : used;
+    }
+
+    createURL(blob) {
+        const url = URL.createObjectURL(blob);
+        this.urls.push(url);
+        return url;
+    }
+
+    clearList() {
+        this.list.innerHTML = '';
+        this.urls.forEach(url => URL.revokeObjectURL(url));
+        this.urls = [];
+    }
+}
+
+function formatTime(timestamp) {
+    return new Intl.DateTimeFormat(i18n.language, { dateStyle: 'medium', timeStyle: 'short' }).format(timestamp);
+}
+
+function formatSize(bytes) {
+    const megabytes = bytes / (1024 * 1024);
+    return `${new Intl.NumberFormat(i18n.language, { maximumFractionDigits: 1 }).format(megabytes)} MB`;
+}
@@ -0,0 +1,147 @@
+// Pointer-event gesture recognizer for manipulating the anchored model.
+//
+// Recognizes pinch (scale factor), two-finger twist (rotation delta in
+// radians), one-finger drag (delta in pixels), tap and double-tap, and reports
+// them through callbacks. It knows nothing about Three.js - WebARApp maps the
+// gestures onto the active target.
+const TAP_MAX_MOVE = 10; // px a finger may drift and still count as a tap
+const TAP_MAX_DURATION = 300; // ms
+const DOUBLE_TAP_INTERVAL = 300; // ms between the two taps of a double-tap
+
+// Taps on these elements belong to the UI, not the scene
+const IGNORED_TARGETS = 'button, a, input, select, textarea, [data-no-gestures]';
+
+export class GestureController {
+    constructor(element, {
+        onPinch = () => {},
+        onTwist = () => {},
+        onDrag = () => {},
+        onTap = () => {},
+        onDoubleTap = () => {}
+    } = {}) {
+        this.element = element;
+        this.callbacks = { onPinch, onTwist, onDrag, onTap, onDoubleTap };
+        this.enabled = true;
+        this.pointers = new Map(); // pointerId -> { x, y, startX, startY, startTime }
+        this.lastTwoFinger = null; // { distance, angle } of the previous two-finger frame
+        this.lastTap = null; // { time, x, y }
+        this.movedTooFar = false;
+
+        this.handleDown = this.handleDown.bind(this);
+        this.handleMove = this.handleMove.bind(this);
+        this.handleUp = this.handleUp.bind(this);
+
+        element.addEventListener('pointerdown', this.handleDown);
+        element.addEventListener('pointermove', this.handleMove);
+        element.addEventListener('pointerup', this.handleUp);
+        element.addEventListener('pointercancel', this.handleUp);
+    }
+
+    destroy() {
+        this.element.removeEventListener('pointerdown', this.handleDown);
+        this.element.removeEventListener('pointermove', this.handleMove);
+        this.element.removeEventListener('pointerup', this.handleUp);
+        this.element.removeEventListener('pointercancel', this.handleUp);
+        this.pointers.clear();
+    }
+
+    handleDown(event) {
+        if (!this.enabled || (event.target.closest && event.target.closest(IGNORED_TARGETS))) return;
+
+        this.pointers.set(event.pointerId, {
+            x: event.clientX,
+            y: event.clientY,
+            startX: event.clientX,
+            startY: event.clientY,
+            startTime: event.timeStamp
+        });
+
+        if (this.pointers.size === 1) {
+            this.movedTooFar = false;
+        } else {
+            // A second finger turns the gesture into pinch / twist
+            this.movedTooFar = true;
+            this.lastTwoFinger = this.measureTwoFinger();
+        }
+    }
+
+    handleMove(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+
+        const dx = event.clientX - pointer.x;
+        const dy = event.clientY - pointer.y;
+        pointer.x = event.clientX;
+        pointer.y = event.clientY;
+
+        if (Math.hypot(pointer.x - pointer.startX, pointer.y - pointer.startY) > TAP_MAX_MOVE) {
+            this.movedTooFar = true;
+        }
+
+        if (this.pointers.size === 1) {
+            if (this.movedTooFar) {
+                this.callbacks.onDrag(dx, dy);
+            }
+            return;
+        }
+
+        const current = this.measureTwoFinger();
+        if (this.lastTwoFinger && current) {
+            if (this.lastTwoFinger.distance > 0) {
+                this.callbacks.onPinch(current.distance / this.lastTwoFinger.distance);
+            }
+            this.callbacks.onTwist(normalizeAngle(current.angle - this.lastTwoFinger.angle));
+        }
+        this.lastTwoFinger = current;
+    }
+
+    handleUp(event) {
+        const pointer = this.pointers.get(event.pointerId);
+        if (!pointer) return;
+
+        this.pointers.delete(event.pointerId);
+
+        if (this.pointers.size >= 2) {
+            this.lastTwoFinger = this.measureTwoFinger();
+            return;
+        }
+        this.lastTwoFinger = null;
+
+        const isTap = this.pointers.size === 0 &&
+            !this.movedTooFar &&
+            event.type === 'pointerup' &&
+            event.timeStamp - pointer.startTime <= TAP_MAX_DURATION;
+
+        if (!isTap) return;
+
+        const { clientX: x, clientY: y, timeStamp: time } = event;
+        const isDoubleTap = this.lastTap &&
+            time - this.lastTap.time <= DOUBLE_TAP_INTERVAL &&
+            Math.hypot(x - this.lastTap.x, y - this.lastTap.y) <= TAP_MAX_MOVE * 3;
+
+        if (isDoubleTap) {
+            this.lastTap = null;
+            this.callbacks.onDoubleTap(x, y);
+        } else {
+            this.lastTap = { time, x, y };
+            this.callbacks.onTap(x, y);
+        }
+    }
+
+    measureTwoFinger() {
+        const [a, b] = Array.from(this.pointers.values());
+        if (!a || !b) return null;
+
+        return {
+            distance: Math.hypot(b.x - a.x, b.y - a.y),
+            angle: Math.atan2(b.y - a.y, b.x - a.x)
+        };
+    }
+}
+
+// Wraps an angle delta into -π..π so crossing the atan2 seam isn't a full turn
+function normalizeAngle(angle) {
+    while (angle > Math.PI) angle -= 2 * Math.PI;
+    while (angle < -Math.PI) angle += 2 * Math.PI;
+    return angle;
+}
@@ -0,0 +1,278 @@
+// Animated GIF encoder, run as a Worker so the AR view keeps rendering.
+//
+// Gets { width, height, frames, sequence, delay } where frames are RGBA pixel
+// buffers and sequence lists the frame indices to play, in order - a
+// boomerang plays some frames twice. Answers with { type: 'progress', value }
+// while encoding and finally { type: 'done', buffer } (or 'error').
+//
+// All frames share one 256-colour palette, chosen by median cut over a
+// 15-bit colour histogram of every frame. Each distinct frame is LZW-encoded
+// once, however often the sequence shows it.
+
+const MAX_COLORS = 256;
+const SAMPLE_STEP = 2; // Every other pixel goes into the histogram
+
+self.onmessage = (event) => {
+    try {
+        const buffer = encodeGIF(event.data, value => self.postMessage({ type: 'progress', value }));
+        self.postMessage({ type: 'done', buffer }, [buffer]);
+    } catch (error) {
+        self.postMessage({ type: 'error', message: error.message });
+    }
+};
+
+function encodeGIF({ width, height, frames, sequence, delay }, onProgress) {
+    const pixels = frames.map(frame => new Uint8Array(frame));
+    const palette = buildPalette(pixels);
+    const lookup = new Int16Array(32768).fill(-1);
+
+    const encoded = pixels.map((frame, index) => {
+        const data = lzwEncode(indexFrame(frame, palette, lookup), 8);
+        onProgress((index + 1) / pixels.length);
+        return data;
+    });
+
+    const out = new ByteWriter();
+    out.string('GIF89a');
+
+    // Logical screen with a 256-entry global colour table
+    out.u16(width);
+    out.u16(height);
+    out.byte(0xf7);
+    out.byte(0);
+    out.byte(0);
+    for (let i = 0; i < MAX_COLORS; i++) {
+        const color = palette[i] || [0, 0, 0];
+        out.byte(color[0]);
+        out.byte(color[1]);
+        out.byte(color[2]);
+    }
+
+    // Loop forever
+    out.bytes([0x21, 0xff, 0x0b]);
+    out.string('NETSCAPE2.0');
+    out.bytes([0x03, 0x01, 0x00, 0x00, 0x00]);
+
+    const delayCentiseconds = Math.max(2, Math.round(delay / 10));
+    sequence.forEach(index => {
+        // Graphic control: no transparency, frames replace each other
+        out.bytes([0x21, 0xf9, 0x04, 0x04]);
+        out.u16(delayCentiseconds);
+        out.bytes([0x00, 0x00]);
+
+        out.byte(0x2c);
+        out.u16(0);
+        out.u16(0);
+        out.u16(width);
+        out.u16(height);
+        out.byte(0);
+
+        out.byte(8); // LZW minimum code size
+        const data = encoded[index];
+        for (let offset = 0; offset < data.length; offset += 255) {
+            const block = data.subarray(offset, offset + 255);
+            out.byte(block.length);
+            out.bytes(block);
+        }
+        out.byte(0);
+    });
+
+    out.byte(0x3b);
+    return out.toArrayBuffer();
+}
+
+// Median cut over a histogram of 5-bit-per-channel colours
+function buildPalette(frames) {
+    const histogram = new Uint32Array(32768);
+    frames.forEach(frame => {
+        for (let i = 0; i < frame.length; i += 4 * SAMPLE_STEP) {
+            histogram[((frame[i] >> 3) << 10) | ((frame[i + 1] >> 3) << 5) | (frame[i + 2] >> 3)]++;
+        }
+    });
+
+    const colors = [];
+    for (let key = 0; key < histogram.length; key++) {
+        if (histogram[key] > 0) {
+            colors.push({ rgb: [key >> 10, (key >> 5) & 31, key & 31], count: histogram[key] });
+        }
+    }
+
+    const boxes = [makeBox(colors)];
+    while (boxes.length < MAX_COLORS) {
+        // Split the box with the most pixels that still holds several colours
+        let target = null;
+        boxes.forEach(box => {
+            if (box.colors.length > 1 && (!target || box.count > target.count)) {
+                target = box;
+            }
+        });
+        if (!target) break;
+
+        const channel = target.channel;
+        target.colors.sort((a, b) => a.rgb[channel] - b.rgb[channel]);
+        let seen = 0;
+        let split = 1;
+        for (; split < target.colors.length - 1; split++) {
+            seen += target.colors[split - 1].count;
+            if (seen >= target.count / 2) break;
+        }
+
+        boxes.splice(boxes.indexOf(target), 1,
+            makeBox(target.colors.slice(0, split)),
+            makeBox(target.colors.slice(split)));
+    }
+
+    return boxes.map(box => {
+        const sum = [0, 0, 0];
+        box.colors.forEach(({ rgb, count }) => {
+            sum[0] += rgb[0] * count;
+            sum[1] += rgb[1] * count;
+            sum[2] += rgb[2] * count;
+        });
+        return sum.map(value => {
+            const channel = Math.round(value / box.count);
+            return (channel << 3) | (channel >> 2);
+        });
+    });
+}
+
+function makeBox(colors) {
+    const min = [31, 31, 31];
+    const max = [0, 0, 0];
+    let count = 0;
+    colors.forEach(({ rgb, count: pixels }) => {
+        for (let c = 0; c < 3; c++) {
+            min[c] = Math.min(min[c], rgb[c]);
+            max[c] = Math.max(max[c], rgb[c]);
+        }
+        count += pixels;
+    });
+
+    const ranges = [max[0] - min[0], max[1] - min[1], max[2] - min[2]];
+    return { colors, count, channel: ranges.indexOf(Math.max(...ranges)) };
+}
+
+// Palette index of every pixel; lookup caches the nearest entry per 15-bit colour
+function indexFrame(frame, palette, lookup) {
+    const indices = new Uint8Array(frame.length / 4);
+    for (let i = 0, p = 0; i < frame.length; i += 4, p++) {
+        const key = ((frame[i] >> 3) << 10) | ((frame[i + 1] >> 3) << 5) | (frame[i + 2] >> 3);
+        if (lookup[key] < 0) {
+            lookup[key] = nearestColor(palette, frame[i], frame[i + 1], frame[i + 2]);
+        }
+        indices[p] = lookup[key];
+    }
+    return indices;
+}
+
+function nearestColor(palette, r, g, b) {
+    let best = 0;
+    let bestDistance = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+        const [pr, pg, pb] = palette[i];
+        const distance = (pr - r) * (pr - r) + (pg - g) * (pg - g) + (pb - b) * (pb - b);
+        if (distance < bestDistance) {
+            bestDistance = distance;
+            best = i;
+        }
+    }
+    return best;
+}
+
+// GIF-flavoured LZW: variable code size up to 12 bits, clear code when the
+// table is full, codes packed least significant bit first
+function lzwEncode(indices, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const table = new Map();
+    const out = new ByteWriter();
+
+    let codeSize = minCodeSize + 1;
+    let nextCode = endCode + 1;
+    let bits = 0;
+    let bitCount = 0;
+
+    const emit = (code) => {
+        bits |= code << bitCount;
+        bitCount += codeSize;
+        while (bitCount >= 8) {
+            out.byte(bits & 0xff);
+            bits >>= 8;
+            bitCount -= 8;
+        }
+    };
+
+    emit(clearCode);
+    let prefix = indices[0];
+    for (let i = 1; i < indices.length; i++) {
+        const index = indices[i];
+        const key = (prefix << 8) | index;
+        const code = table.get(key);
+        if (code !== undefined) {
+            prefix = code;
+            continue;
+        }
+
+        emit(prefix);
+        if (nextCode === 4096) {
+            emit(clearCode);
+            table.clear();
+            codeSize = minCodeSize + 1;
+            nextCode = endCode + 1;
+        } else {
+            if (nextCode >= 1 << codeSize) {
+                codeSize++;
+            }
+            table.set(key, nextCode++);
+        }
+        prefix = index;
+    }
+    emit(prefix);
+    emit(endCode);
+    if (bitCount > 0) {
+        out.byte(bits & 0xff);
+    }
+    return out.toUint8Array();
+}
+
+// Growable byte buffer
+class ByteWriter {
+    constructor() {
+        this.data = new Uint8Array(1 << 16);
+        this.length = 0;
+    }
+
+    byte(value) {
+        if (this.length === this.data.length) {
+            const grown = new Uint8Array(this.data.length * 2);
+            grown.set(this.data);
+            this.data = grown;
+        }
+        this.data[this.length++] = value;
+    }
+
+    bytes(values) {
+        for (let i = 0; i < values.length; i++) {
+            this.byte(values[i]);
+        }
+    }
+
+    u16(value) {
+        this.byte(value & 0xff);
+        this.byte((value >> 8) & 0xff);
+    }
+
+    string(text) {
+        for (let i = 0; i < text.length; i++) {
+            this.byte(text.charCodeAt(i));
+        }
+    }
+
+    toUint8Array() {
+        return this.data.subarray(0, this.length);
+    }
+
+    toArrayBuffer() {
+        return this.data.slice(0, this.length).buffer;
+    }
+}
@@ -0,0 +1,76 @@
+// GLTFLoader set up for optimized exports: Draco meshes, meshopt-compressed
+// buffers and KTX2 / Basis Universal textures.
+//
+// The Draco decoder and Basis transcoder are loaded from src/vendor/ (copied
+// from the three package by `npm run vendor`), so compressed models also load
+// without internet access.
+import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { DRACOLoader } from 'three/addons/loaders/DRACOLoader.js';
+import { KTX2Loader } from 'three/addons/loaders/KTX2Loader.js';
+import { MeshoptDecoder } from 'three/addons/libs/meshopt_decoder.module.js';
+
+export const DEFAULT_DECODER_PATH = './src/vendor/';
+
+// Extensions GLTFLoader (three r147) understands once the decoders are wired up
+const SUPPORTED_EXTENSIONS = new Set([
+    'KHR_binary_glTF',
+    'KHR_draco_mesh_compression',
+    'KHR_lights_punctual',
+    'KHR_materials_clearcoat',
+    'KHR_materials_ior',
+    'KHR_materials_sheen',
+    'KHR_materials_specular',
+    'KHR_materials_transmission',
+    'KHR_materials_iridescence',
+    'KHR_materials_unlit',
+    'KHR_materials_volume',
+    'KHR_materials_emissive_strength',
+    'KHR_texture_basisu',
+    'KHR_texture_transform',
+    'KHR_mesh_quantization',
+    'EXT_texture_webp',
+    'EXT_meshopt_compression',
+    'EXT_mesh_gpu_instancing'
+]);
+
+export class UnsupportedExtensionError extends Error {
+    constructor(extensions) {
+        super(`Model requires unsupported glTF extension(s): ${extensions.join(', ')}`);
+        this.name = 'UnsupportedExtensionError';
+        this.extensions = extensions;
+    }
+}
+
+export function createGLTFLoader(renderer, { decoderPath = DEFAULT_DECODER_PATH } = {}) {
+    const dracoLoader = new DRACOLoader().setDecoderPath(`${decoderPath}draco/`);
+    const ktx2Loader = new KTX2Loader()
+        .setTranscoderPath(`${decoderPath}basis/`)
+        .detectSupport(renderer);
+
+    const loader = new GLTFLoader()
+        .setDRACOLoader(dracoLoader)
+        .setKTX2Loader(ktx2Loader)
+        .setMeshoptDecoder(MeshoptDecoder);
+
+    // GLTFLoader only warns about unknown required extensions and then
+    // renders the model wrongly - fail the load with a clear error instead
+    loader.register(parser => ({
+        name: 'REQUIRED_EXTENSIONS_CHECK',
+        beforeRoot() {
+            const required = parser.json.extensionsRequired || [];
+            const missing = required.filter(name => !SUPPORTED_EXTENSIONS.has(name));
+
+            // meshopt needs WebAssembly; without it the decoder reports unsupported
+            if (required.includes('EXT_meshopt_compression') && !MeshoptDecoder.supported) {
+                missing.push('EXT_meshopt_compression (WebAssembly unavailable)');
+            }
+
+            if (missing.length > 0) {
+                return Promise.reject(new UnsupportedExtensionError(missing));
+            }
+            return null;
+        }
+    }));
+
+    return loader;
+}
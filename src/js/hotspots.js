@@ -0,0 +1,208 @@
+// Annotated points of interest on a model.
+//
+// HotspotMarkers draws a numbered marker for every hotspot of a target. A
+// hotspot follows a named glTF node, a point in model coordinates, or a point
+// relative to a node. Markers live in the target's content group, not under
+// the model, so they keep their size whatever the model scale or pinch, and
+// only copy the position of what they annotate every frame.
+//
+// HotspotPanel is the HTML side: the detail panel a marker opens and a list of
+// buttons for the same hotspots, so keyboard and screen reader users can
+// reach them without aiming at the scene.
+import * as THREE from 'three';
+import { i18n, t } from './i18n.js';
+
+const MARKER_SIZE = 0.07; // In target widths
+const ACTIVE_MARKER_SCALE = 1.35;
+
+export class HotspotMarkers {
+    constructor(hotspots, parent) {
+        this.hotspots = hotspots;
+        this.parent = parent;
+        this.markers = []; // { sprite, source, localPosition }
+        this.active = null; // Hotspot whose panel is open
+        this.parentInverse = new THREE.Matrix4();
+    }
+
+    attach(model) {
+        this.detach();
+        model.updateWorldMatrix(true, true);
+
+        this.hotspots.forEach((hotspot, index) => {
+            const source = hotspot.node ? model.getObjectByName(hotspot.node) : model;
+            if (!source) {
+                console.warn(`Hotspot "${i18n.pick(hotspot.title)}": node "${hotspot.node}" not found in model`);
+                return;
+            }
+
+            const sprite = new THREE.Sprite(new THREE.SpriteMaterial({
+                map: createMarkerTexture(index + 1),
+                transparent: true,
+                depthTest: false // Stay visible and tappable on the far side of the model
+            }));
+            sprite.renderOrder = 998;
+            sprite.scale.setScalar(MARKER_SIZE);
+            sprite.userData.hotspot = hotspot;
+
+            this.markers.push({
+                sprite,
+                source,
+                localPosition: new THREE.Vector3().fromArray(hotspot.position || [0, 0, 0])
+            });
+            this.parent.add(sprite);
+        });
+
+        this.update();
+    }
+
+    detach() {
+        this.markers.forEach(({ sprite }) => {
+            this.parent.remove(sprite);
+            sprite.material.map.dispose();
+            sprite.material.dispose();
+        });
+        this.markers = [];
+        this.active = null;
+    }
+
+    has(hotspot) {
+        return this.markers.some(marker => marker.sprite.userData.hotspot === hotspot);
+    }
+
+    getObjects() {
+        return this.markers.map(marker => marker.sprite);
+    }
+
+    // Moves the markers onto their nodes, which the idle animation, clips and
+    // gestures keep moving
+    update() {
+        if (this.markers.length === 0) return;
+
+        this.parentInverse.copy(this.parent.matrixWorld).invert();
+
+        this.markers.forEach(({ sprite, source, localPosition }) => {
+            sprite.position.copy(localPosition)
+                .applyMatrix4(source.matrixWorld)
+                .applyMatrix4(this.parentInverse);
+
+            const scale = sprite.userData.hotspot === this.active ? ACTIVE_MARKER_SCALE : 1;
+            sprite.scale.setScalar(MARKER_SIZE * scale);
+        });
+    }
+
+    setOpacity(opacity) {
+        this.markers.forEach(({ sprite }) => {
+            sprite.material.opacity = opacity;
+        });
+    }
+}
+
+export class HotspotPanel {
+    constructor({ panel, list, onSelect = () => {}, onClose = () => {} }) {
+        this.panel = panel;
+        this.list = list;
+        this.onSelect = onSelect; // (hotspot) => void, a list button was activated
+        this.onClose = onClose; // (hotspot) => void
+        this.current = null;
+        this.returnFocus = null;
+
+        this.panel.querySelector('.hotspot-close').addEventListener('click', () => this.close());
+        this.panel.addEventListener('keydown', (event) => {
+            if (event.key === 'Escape') {
+                this.close();
+            }
+        });
+    }
+
+    // Shows a hotspot's details. Opening from the list moves focus into the
+    // panel and back to the list button on close; taps leave focus alone.
+    open(hotspot, { fromKeyboard = false } = {}) {
+        this.current = hotspot;
+        this.returnFocus = fromKeyboard ? document.activeElement : null;
+
+        // Manifest text may be given per language
+        this.panel.querySelector('.hotspot-title').textContent = i18n.pick(hotspot.title);
+        this.panel.querySelector('.hotspot-text').textContent = i18n.pick(hotspot.text) || '';
+
+        const image = this.panel.querySelector('.hotspot-image');
+        if (hotspot.image) {
+            image.src = i18n.pick(hotspot.image);
+            image.alt = i18n.pick(hotspot.imageAlt) || '';
+            image.classList.remove('hidden');
+        } else {
+            image.removeAttribute('src');
+            image.classList.add('hidden');
+        }
+
+        this.panel.classList.remove('hidden');
+        this.panel.querySelector('.hotspot-close').focus({ preventScroll: true });
+    }
+
+    close() {
+        if (!this.current) return;
+
+        const hotspot = this.current;
+        this.current = null;
+        this.panel.classList.add('hidden');
+
+        if (this.returnFocus && this.returnFocus.isConnected) {
+            this.returnFocus.focus();
+        } else if (this.panel.contains(document.activeElement)) {
+            document.activeElement.blur();
+        }
+        this.returnFocus = null;
+        this.onClose(hotspot);
+    }
+
+    // entries: [{ hotspot, targetName }] for every hotspot currently on screen
+    setHotspots(entries) {
+        const items = this.list.querySelector('ul');
+        items.innerHTML = '';
+
+        entries.forEach(({ hotspot, targetName }) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.textContent = i18n.pick(hotspot.title);
+            button.setAttribute('aria-description', targetName);
+            button.addEventListener('click', () => this.onSelect(hotspot));
+
+            const item = document.createElement('li');
+            item.appendChild(button);
+            items.appendChild(item);
+        });
+
+        this.list.setAttribute('aria-label', t('hotspots.list', { count: entries.length }));
+        this.list.classList.toggle('hidden', entries.length === 0);
+
+        if (this.current && !entries.some(entry => entry.hotspot === this.current)) {
+            this.close();
+        }
+    }
+}
+
+// Round badge with the hotspot's number, drawn once per marker
+function createMarkerTexture(number) {
+    const size = 128;
+    const canvas = document.createElement('canvas');
+    canvas.width = size;
+    canvas.height = size;
+
+    const ctx = canvas.getContext('2d');
+    ctx.beginPath();
+    ctx.arc(size / 2, size / 2, size / 2 - 8, 0, Math.PI * 2);
+    ctx.fillStyle = 'rgba(255, 255, 255, 0.95)';
+    ctx.fill();
+    ctx.lineWidth = 8;
+    ctx.strokeStyle = '#667eea';
+    ctx.stroke();
+
+    ctx.fillStyle = '#333';
+    ctx.font = 'bold 64px Arial, sans-serif';
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillText(String(number), size / 2, size / 2 + 4);
+
+    const texture = new THREE.CanvasTexture(canvas);
+    texture.encoding = THREE.sRGBEncoding;
+    return texture;
+}
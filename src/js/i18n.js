@@ -0,0 +1,172 @@
+// Message catalogs, language detection and right-to-left layout.
+//
+// Catalogs live in src/locales/<language>.json as nested objects, and
+// t('status.screenshotSaved') looks a key up in the active language, then in
+// English, then falls back to the key itself. Messages can contain {name}
+// placeholders, and a message given as plural forms, e.g.
+// { "one": "{count} point", "other": "{count} points" }, is picked with
+// Intl.PluralRules from params.count.
+//
+// The language comes from ?lang=, then the visitor's choice in the language
+// picker, then navigator.languages, then English. Static markup is translated
+// through data-i18n (text) and data-i18n-attr ("title:key;aria-label:key").
+import * as storage from './storage.js';
+
+export const LANGUAGES = {
+    en: { name: 'English', dir: 'ltr' },
+    es: { name: 'Español', dir: 'ltr' },
+    ar: { name: 'العربية', dir: 'rtl' }
+};
+
+export const FALLBACK_LANGUAGE = 'en';
+
+const CATALOG_PATH = './src/locales/';
+const STORAGE_KEY = 'webar-language';
+
+class I18n {
+    constructor() {
+        this.language = FALLBACK_LANGUAGE;
+        this.catalogs = new Map(); // language -> Promise of its catalog
+        this.loaded = {}; // language -> catalog, once loaded
+        this.pluralRules = new Intl.PluralRules(FALLBACK_LANGUAGE);
+        this.listeners = [];
+    }
+
+    async init() {
+        await this.setLanguage(this.detect(), { remember: false });
+    }
+
+    detect() {
+        const params = new URLSearchParams(window.location.search);
+        const candidates = [
+            params.get('lang'),
+            readStoredLanguage(),
+            ...(navigator.languages || [navigator.language])
+        ];
+
+        for (const candidate of candidates) {
+            const language = matchLanguage(candidate);
+            if (language) return language;
+        }
+        return FALLBACK_LANGUAGE;
+    }
+
+    async setLanguage(requested, { remember = true } = {}) {
+        const language = matchLanguage(requested) || FALLBACK_LANGUAGE;
+        await Promise.all([this.loadCatalog(FALLBACK_LANGUAGE), this.loadCatalog(language)]);
+
+        this.language = language;
+        this.pluralRules = new Intl.PluralRules(language);
+        document.documentElement.lang = language;
+        document.documentElement.dir = LANGUAGES[language].dir;
+
+        if (remember) {
+            storage.set(STORAGE_KEY, language);
+        }
+
+        this.translateDOM();
+        this.listeners.forEach(listener => listener(language));
+    }
+
+    // listener(language) runs after every language change
+    onChange(listener) {
+        this.listeners.push(listener);
+    }
+
+    getDirection() {
+        return LANGUAGES[this.language].dir;
+    }
+
+    t(key, params = {}) {
+        let message = lookup(this.loaded[this.language], key);
+        if (message === undefined) {
+            message = lookup(this.loaded[FALLBACK_LANGUAGE], key);
+        }
+        if (message === undefined) {
+            console.warn(`Missing translation for "${key}"`);
+            return key;
+        }
+
+        if (typeof message === 'object') {
+            const form = this.pluralRules.select(params.count);
+            message = message[form] !== undefined ? message[form] : message.other;
+        }
+
+        return message.replace(/\{(\w+)\}/g, (placeholder, name) => (
+            params[name] !== undefined ? String(params[name]) : placeholder
+        ));
+    }
+
+    // Manifest text is either a plain string or a { language: text } map
+    pick(value) {
+        if (value === null || typeof value !== 'object') return value;
+
+        const base = this.language.split('-')[0];
+        for (const language of [this.language, base, FALLBACK_LANGUAGE]) {
+            if (value[language] !== undefined) return value[language];
+        }
+        return Object.values(value)[0];
+    }
+
+    translateDOM(root = document) {
+        root.querySelectorAll('[data-i18n]').forEach(element => {
+            element.textContent = this.t(element.dataset.i18n);
+        });
+
+        root.querySelectorAll('[data-i18n-attr]').forEach(element => {
+            element.dataset.i18nAttr.split(';').forEach(pair => {
+                const [attribute, key] = pair.split(':').map(part => part.trim());
+                element.setAttribute(attribute, this.t(key));
+            });
+        });
+    }
+
+    loadCatalog(language) {
+        if (!this.catalogs.has(language)) {
+            this.catalogs.set(language, fetch(`${CATALOG_PATH}${language}.json`)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.json();
+                })
+                .catch(error => {
+                    console.error(`Failed to load "${language}" messages:`, error);
+                    this.catalogs.delete(language);
+                    return {};
+                })
+                .then(catalog => {
+                    this.loaded[language] = catalog;
+                    return catalog;
+                }));
+        }
+        return this.catalogs.get(language);
+    }
+}
+
+export const i18n = new I18n();
+
+export function t(key, params) {
+    return i18n.t(key, params);
+}
+
+// Maps a language tag like "es-MX" onto a supported language
+function matchLanguage(tag) {
+    if (!tag) return null;
+
+    const normalized = tag.toLowerCase();
+    if (LANGUAGES[normalized]) return normalized;
+
+    const base = normalized.split('-')[0];
+    return LANGUAGES[base] ? base : null;
+}
+
+function readStoredLanguage() {
+    return storage.get(STORAGE_KEY);
+}
+
+function lookup(catalog, key) {
+    return key.split('.').reduce((node, part) => (
+        node && typeof node === 'object' ? node[part] : undefined
+    ), catalog);
+}
@@ -0,0 +1,149 @@
+// Short looping captures: animated GIFs and boomerangs.
+//
+// LoopCapture samples frames from a canvas for a few seconds, scaled down to
+// a GIF-friendly width, and hands them to the encoder in gif-worker.js so
+// the AR view keeps rendering meanwhile. A boomerang plays the frames
+// forward and then back again.
+//
+// LoopPanel is the control panel that picks the mode and starts a capture.
+
+export const LOOP_DEFAULTS = {
+    duration: 3, // Seconds sampled
+    fps: 10,
+    width: 360 // Pixels; GIFs get big quickly
+};
+
+export const LOOP_MODES = ['gif', 'boomerang'];
+
+export class LoopCapture {
+    constructor({ duration = LOOP_DEFAULTS.duration, fps = LOOP_DEFAULTS.fps, width = LOOP_DEFAULTS.width } = {}) {
+        this.duration = duration;
+        this.fps = fps;
+        this.width = width;
+        this.worker = null;
+    }
+
+    // getFrame() returns the canvas to sample, brought up to date by the
+    // caller. onProgress(phase, value) reports 'capture' and 'encode'
+    // progress from 0 to 1. Resolves with a GIF Blob.
+    async capture(getFrame, { mode = 'gif', onProgress = () => {} } = {}) {
+        const { frames, width, height } = await this.sampleFrames(getFrame, value => onProgress('capture', value));
+        if (frames.length === 0) {
+            throw new Error('No frames captured');
+        }
+
+        const buffer = await this.encode({
+            width,
+            height,
+            frames,
+            sequence: frameSequence(frames.length, mode),
+            delay: 1000 / this.fps
+        }, value => onProgress('encode', value));
+        return new Blob([buffer], { type: 'image/gif' });
+    }
+
+    sampleFrames(getFrame, onProgress) {
+        const count = Math.max(2, Math.round(this.duration * this.fps));
+        const interval = 1000 / this.fps;
+        const scratch = document.createElement('canvas');
+        const ctx = scratch.getContext('2d', { willReadFrequently: true });
+        const frames = [];
+
+        return new Promise((resolve, reject) => {
+            const start = performance.now();
+
+            const sample = () => {
+                try {
+                    const source = getFrame();
+                    if (frames.length === 0) {
+                        const scale = Math.min(1, this.width / source.width);
+                        scratch.width = Math.round(source.width * scale);
+                        scratch.height = Math.round(source.height * scale);
+                    }
+                    ctx.drawImage(source, 0, 0, scratch.width, scratch.height);
+                    frames.push(ctx.getImageData(0, 0, scratch.width, scratch.height).data.buffer);
+                } catch (error) {
+                    reject(error);
+                    return;
+                }
+
+                onProgress(frames.length / count);
+                if (frames.length === count) {
+                    resolve({ frames, width: scratch.width, height: scratch.height });
+                    return;
+                }
+
+                // Against the start time, so slow frames don't stretch the capture
+                const next = start + frames.length * interval;
+                setTimeout(sample, Math.max(0, next - performance.now()));
+            };
+            sample();
+        });
+    }
+
+    encode(message, onProgress) {
+        if (!this.worker) {
+            this.worker = new Worker(new URL('./gif-worker.js', import.meta.url));
+        }
+        const worker = this.worker;
+
+        return new Promise((resolve, reject) => {
+            worker.onmessage = (event) => {
+                const { type } = event.data;
+                if (type === 'progress') {
+                    onProgress(event.data.value);
+                } else if (type === 'done') {
+                    resolve(event.data.buffer);
+                } else {
+                    reject(new Error(event.data.message));
+                }
+            };
+            worker.onerror = (event) => {
+                event.preventDefault();
+                reject(new Error(event.message || 'GIF encoder failed'));
+            };
+            // The frame buffers move to the worker instead of being copied
+            worker.postMessage(message, message.frames);
+        });
+    }
+}
+
+// Frame order for a mode; a boomerang turns around without showing the
+// first and last frames twice
+export function frameSequence(count, mode) {
+    const forward = Array.from({ length: count }, (value, index) => index);
+    if (mode !== 'boomerang') return forward;
+    return forward.concat(forward.slice(1, -1).reverse());
+}
+
+// Toggle button and panel with one button per loop mode
+export class LoopPanel {
+    constructor({ toggle, panel, onCapture = () => {} }) {
+        this.toggle = toggle;
+        this.panel = panel;
+        this.onCapture = onCapture; // (mode) => void
+
+        this.toggle.addEventListener('click', () => this.setOpen(this.panel.classList.contains('hidden')));
+        panel.querySelectorAll('[data-loop-mode]').forEach(button => {
+            button.addEventListener('click', () => {
+                this.setOpen(false);
+                this.onCapture(button.dataset.loopMode);
+            });
+        });
+    }
+
+    // Shows that a capture is running and keeps another from starting
+    setBusy(busy) {
+        this.toggle.disabled = busy;
+        this.toggle.classList.toggle('recording', busy);
+    }
+
+    setOpen(open) {
+        this.panel.classList.toggle('hidden', !open);
+        this.toggle.setAttribute('aria-expanded', String(open));
+    }
+
+    isOpen() {
+        return !this.panel.classList.contains('hidden');
+    }
+}
@@ -1,49 +1,159 @@
 import * as THREE from 'three';
-import { GLTFLoader } from 'three/addons/loaders/GLTFLoader.js';
+import { clone as cloneSkinned } from 'three/addons/utils/SkeletonUtils.js';
 import { MindARThree } from 'mind-ar';
-
-class WebARApp {
-    constructor() {
+import { resolveTargetConfig } from './targets.js';
+import { loadManifest, ManifestError, DEFAULT_MANIFEST_URL } from './manifest.js';
+import { createPoseFilter, DEFAULT_POSE_FILTER } from './filters/pose-filter.js';
+import { TrackingLossController } from './tracking-loss.js';
+import { AssetManager, AssetState } from './asset-manager.js';
+import { createGLTFLoader, UnsupportedExtensionError } from './gltf-loader.js';
+import { GestureController } from './gestures.js';
+import { HotspotMarkers, HotspotPanel } from './hotspots.js';
+import { AnimationController, AnimationPanel } from './animation-controller.js';
+import { NarrationPlayer } from './narration.js';
+import { i18n, t, LANGUAGES } from './i18n.js';
+import { detectDeviceProfile } from './device-profile.js';
+import { QualityGovernor } from './quality-governor.js';
+import { CaptureOverlay } from './capture-overlay.js';
+import { shareFile, downloadFile } from './share.js';
+import { CaptureStore, createThumbnail } from './capture-store.js';
+import { GalleryDrawer } from './gallery.js';
+import { RecordingAudio, AudioPanel } from './recording-audio.js';
+import { RECORDING_DEFAULTS, RecordingCountdown, RecordingProgress, formatDuration } from './recording-indicator.js';
+import { LoopCapture, LoopPanel } from './loop-capture.js';
+import { PHOTO_DEFAULTS, renderPhoto, encodeCanvas } from './photo-capture.js';
+import { CameraPicker, readStoredCamera, storeCamera, listCameras, nextCamera } from './camera-picker.js';
+import { resolveTrackerSettings, toMindAROptions, RESTARTABLE_OPTIONS } from './tracker-settings.js';
+import { TuningPanel } from './tuning-panel.js';
+import { DebugHUD, AnchorHelper } from './debug-hud.js';
+import { Analytics } from './analytics.js';
+import { EventEmitter } from './event-emitter.js';
+
+// Events host pages can listen to with on()
+export const APP_EVENTS = ['targetFound', 'targetLost', 'error', 'captureSaved'];
+
+// The AR experience. index.html creates one as window.webAR; host pages can
+// drive it with start() / stop() / pause() / resume() and the capture
+// methods, and follow it with on(). See README, JavaScript API.
+export class WebARApp {
+    // autoStart: false leaves asking for the camera to the first start()
+    constructor({ autoStart = true } = {}) {
         this.mindarThree = null;
         this.scene = null;
         this.camera = null;
         this.renderer = null;
-        this.model = null;
         this.mediaRecorder = null;
         this.recordedChunks = [];
         this.isRecording = false;
         this.videoElement = null;
         this.compositeCanvas = null;
         this.compositeCtx = null;
-        this.initialModelY = undefined;
-        this.initialModelRotationY = undefined;
-        this.floatTime = 0;
-        this.rotationTime = 0;
-        this.shadowPlane = null;
-        this.floatAmplitude = 0.015;
-        this.floatSpeed = 1.5;
-        this.rotationSpeed = 0.3;
-        this.anchor = null;
-        this.isTargetVisible = false;
-        
-        // Stabilization properties
-        this.targetPosition = new THREE.Vector3();
-        this.targetRotation = new THREE.Euler();
-        this.smoothingFactor = 0.15; // Lower = smoother, higher = more responsive
-        this.confidenceThreshold = 0.7;
-        this.trackingConfidence = 0;
-        this.lastStableTime = 0;
-        this.stabilizationDelay = 100; // ms
-        this.positionHistory = [];
-        this.rotationHistory = [];
-        this.historySize = 5;
-        
-        // Performance optimization - mobile-specific settings
-        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-        this.isMobile = isMobile;
-        
-        // Reduce frame rate for mobile devices
-        this.targetFPS = isMobile ? 30 : 60; // 30fps for mobile, 60fps for desktop
+        
+        // Experience manifest, loaded in init()
+        this.manifest = null;
+        
+        // Per-target experiences, one entry per anchor (see createTargetState)
+        this.targets = [];
+        
+        // Lazily loaded, LRU-cached models (created once the manifest is loaded)
+        this.assets = null;
+        
+        // Touch gestures act on the most recently found visible target
+        this.gestures = null;
+        
+        // Hotspot detail panel / accessible list, and the picking ray for taps
+        this.hotspotPanel = null;
+        this.raycaster = new THREE.Raycaster();
+        this.pointer = new THREE.Vector2();
+        
+        // Clip controls, bound to the active target's animation controller
+        this.animationPanel = null;
+        
+        // Narration audio and captions of the found target
+        this.narration = null;
+        
+        // Branding drawn on captures, and the target whose template it uses
+        // (kept after the target is lost, so the branding doesn't flicker)
+        this.captureOverlay = null;
+        this.captureTarget = null;
+        
+        // Captures kept on the device and the drawer listing them
+        this.captureStore = null;
+        this.gallery = null;
+        
+        // Narration and microphone mixed into recordings, and the source picker
+        this.recordingAudio = null;
+        this.audioPanel = null;
+        
+        // Recording limits from the manifest, the countdown before recording
+        // and the ring on the stop button
+        this.recordingLimits = RECORDING_DEFAULTS;
+        this.recordingCountdown = null;
+        this.recordingProgress = null;
+        this.recordingStartTime = 0;
+        this.recordedBytes = 0;
+        
+        // GIF and boomerang captures, and the panel that starts them
+        this.loopCapture = null;
+        this.loopPanel = null;
+        
+        // Format and size of screenshots (capture.photo in the manifest)
+        this.photoSettings = PHOTO_DEFAULTS;
+        
+        // Camera MindAR tracks with; the front camera is shown mirrored
+        this.cameraPicker = null;
+        this.cameraDeviceId = null;
+        this.cameraMirrored = false;
+        
+        // MindAR's tracker options, the ?tune panel that changes them, and
+        // options waiting for the tracker to restart
+        this.trackerSettings = null;
+        this.tuningPanel = null;
+        this.trackerRestarting = false;
+        this.pendingTrackerSettings = null;
+        
+        // On-screen diagnostics (?debug), with what the last capture was
+        this.debugHUD = null;
+        this.lastCapture = null; // { name, bytes, size ('WxH' for photos), method }
+        
+        // Usage events; sinks are set up from the manifest's analytics section
+        this.analytics = new Analytics();
+        
+        // Public API state: events for the host page, setup as it runs, the
+        // recording startRecording() / stopRecording() resolve with, and
+        // pauses that only the host page may end
+        this.events = new EventEmitter();
+        this.initPromise = null;
+        this.restartPromise = null; // start() after stop()
+        this.uiReady = false; // setupTargets() and setupUI() have run
+        this.recordingPromise = null;
+        this.recordingDeferred = null;
+        this.pausedByHost = false;
+        this.stopped = false;
+        
+        // Scratch objects for decomposing anchor matrices every frame
+        this.posePosition = new THREE.Vector3();
+        this.poseQuaternion = new THREE.Quaternion();
+        this.poseScale = new THREE.Vector3();
+        this.blendPosition = new THREE.Vector3();
+        this.blendQuaternion = new THREE.Quaternion();
+        this.blendScale = new THREE.Vector3();
+        
+        // What this device can do, detected once; see device-profile.js
+        this.device = detectDeviceProfile();
+        
+        // The profile's tier is only a starting point; the governor moves it
+        // with the measured frame rate
+        this.governor = new QualityGovernor({
+            tier: this.device.tier,
+            pinned: this.device.tierForced,
+            onChange: (tier, settings) => this.applyQuality(settings)
+        });
+        this.quality = this.governor.settings;
+        this.lights = []; // { light, extra, intensity, reducedIntensity } from the manifest rig
+        
+        // Frame rate cap for the tier
+        this.targetFPS = this.quality.targetFPS;
         this.frameInterval = 1000 / this.targetFPS;
         this.lastFrameTime = 0;
         
@@ -60,33 +170,263 @@ class WebARApp {
         
         // Canvas update optimization
         this.lastCanvasUpdate = 0;
-        this.canvasUpdateInterval = isMobile ? 100 : 50; // Update canvas less frequently on mobile
+        this.canvasUpdateInterval = this.quality.canvasUpdateInterval; // Update canvas less often on slower tiers
+        
+        if (autoStart) {
+            // Failures are shown on screen and emitted as 'error'
+            this.start().catch(() => {});
+        }
+    }
+
+    // Sets everything up and starts the camera on the first call, and starts
+    // the camera again after stop(). Resolves once tracking runs.
+    async start() {
+        if (!this.initPromise) {
+            this.initPromise = this.init();
+        }
+        try {
+            await this.initPromise;
+        } catch (error) {
+            // Lets the next start() try again
+            this.initPromise = null;
+            throw error;
+        }
+        
+        if (this.stopped) {
+            // Shared, so a start() made meanwhile doesn't start the camera twice
+            if (!this.restartPromise) {
+                this.restartPromise = this.restartAfterStop().finally(() => {
+                    this.restartPromise = null;
+                });
+            }
+            await this.restartPromise;
+        }
+    }
+
+    // Stays stopped when the camera doesn't come back, so start() can be
+    // called again
+    async restartAfterStop() {
+        try {
+            await this.startTracker();
+            await this.onTrackerRestarted();
+        } catch (error) {
+            console.error('Failed to restart the camera:', error);
+            this.stopTracker();
+            this.showStatus(t('status.initFailed'), true);
+            this.events.emit('error', { error, source: 'start' });
+            throw error;
+        }
         
-        this.init();
+        this.stopped = false;
+        if (!this.pausedByHost) {
+            this.isAppActive = true;
+            this.narration.resume();
+        }
     }
 
+    // Turns the camera off until start(); a recording is stopped and saved
+    async stop() {
+        if (!this.initPromise) return;
+        try {
+            await this.initPromise;
+        } catch (error) {
+            return; // Never started, nothing to stop
+        }
+        if (this.stopped) return;
+        
+        if (this.isRecording || this.isCountingDown()) {
+            this.stopRecording();
+        }
+        this.stopped = true;
+        this.loseTargets();
+        this.stopTracker();
+        this.onAppPause();
+    }
+
+    // Freezes the view and narration while the camera stays on, so resume()
+    // is instant. Unlike a hidden page, focus coming back doesn't end it. A
+    // recording is stopped and saved, it would only show the frozen frame.
+    pause() {
+        if (this.pausedByHost) return;
+        this.pausedByHost = true;
+        if (this.isRecording || this.isCountingDown()) {
+            this.stopRecording();
+        }
+        this.onAppPause();
+    }
+
+    resume() {
+        if (!this.pausedByHost) return;
+        this.pausedByHost = false;
+        if (!this.stopped) {
+            this.onAppResume();
+        }
+    }
+
+    // type: one of APP_EVENTS. Returns a function that removes the listener.
+    on(type, listener) {
+        if (!APP_EVENTS.includes(type)) {
+            console.warn(`Unknown WebARApp event "${type}" (expected one of ${APP_EVENTS.join(', ')})`);
+        }
+        return this.events.on(type, listener);
+    }
+
+    off(type, listener) {
+        this.events.off(type, listener);
+    }
+
+    // Each step runs once: after a failure, the next start() carries on from
+    // the step that failed
     async init() {
         try {
-            // Show loading progress
-            this.updateLoadingProgress('Setting up AR...', 20);
-            
-            await this.setupAR();
-            
-            this.updateLoadingProgress('Loading 3D model...', 50);
-            
-            // Preload the 3D model before starting AR
-            await this.preloadModel();
+            if (!this.manifest) {
+                await this.loadExperience();
+            }
             
-            this.updateLoadingProgress('Preparing interface...', 80);
+            if (!this.mindarThree) {
+                this.updateLoadingProgress(t('loading.ar'), 20);
+                await this.setupAR();
+            }
             
-            this.setupUI();
+            if (!this.uiReady) {
+                this.updateLoadingProgress(t('loading.targets'), 50);
+                
+                // Models load when their target is first detected, so the camera
+                // doesn't wait for them
+                this.setupTargets();
+                
+                this.updateLoadingProgress(t('loading.interface'), 80);
+                
+                this.setupUI();
+                this.uiReady = true;
+            }
             
-            this.updateLoadingProgress('Starting AR experience...', 100);
+            this.updateLoadingProgress(t('loading.starting'), 100);
             
-            this.startAR();
+            await this.startAR();
         } catch (error) {
             console.error('Failed to initialize WebAR:', error);
-            this.showStatus('Failed to initialize AR', true);
+            this.analytics.track('init_error', { error });
+            this.events.emit('error', { error, source: 'init' });
+            
+            if (error instanceof ManifestError) {
+                this.showLoadingError(error.message, error.details);
+            } else {
+                this.showStatus(t('status.initFailed'), true);
+            }
+            throw error;
+        }
+    }
+
+    // Messages and the manifest, and what is set up from the manifest alone
+    async loadExperience() {
+        // Messages first, everything after this is shown in the visitor's language
+        await i18n.init();
+        
+        // Show loading progress
+        this.updateLoadingProgress(t('loading.experience'), 10);
+        
+        const params = new URLSearchParams(window.location.search);
+        this.manifest = await loadManifest(params.get('experience') || DEFAULT_MANIFEST_URL);
+        // Only now, so a retry after a failed load doesn't add it twice
+        i18n.onChange(() => this.onLanguageChange());
+        this.analytics.configure(this.manifest.analytics);
+        this.analytics.track('session_start', {
+            language: i18n.language,
+            tier: this.device.tier,
+            mobile: this.device.isMobile
+        });
+        this.applyManifestUI();
+        this.captureOverlay = new CaptureOverlay((this.manifest.capture || {}).overlays);
+        this.captureStore = new CaptureStore((this.manifest.capture || {}).gallery);
+        this.recordingLimits = { ...RECORDING_DEFAULTS, ...(this.manifest.capture || {}).recording };
+        this.loopCapture = new LoopCapture((this.manifest.capture || {}).loop);
+        this.photoSettings = { ...PHOTO_DEFAULTS, ...(this.manifest.capture || {}).photo };
+    }
+
+    // Manifest text overrides the catalog defaults; it may be one string or
+    // a { language: text } map
+    applyManifestUI() {
+        const { title, ui = {} } = this.manifest;
+        
+        if (title) {
+            document.title = i18n.pick(title);
+        }
+        
+        if (ui.instructions) {
+            document.querySelector('#instructions p').textContent = i18n.pick(ui.instructions);
+        }
+        
+        if (ui.loading) {
+            document.querySelector('#loading-screen .loading-content p').textContent = i18n.pick(ui.loading);
+        }
+    }
+
+    setupLanguagePicker() {
+        const select = document.getElementById('language-select');
+        
+        Object.entries(LANGUAGES).forEach(([code, { name }]) => {
+            const option = document.createElement('option');
+            option.value = code;
+            option.lang = code;
+            option.textContent = name;
+            select.appendChild(option);
+        });
+        select.value = i18n.language;
+        
+        select.addEventListener('change', () => {
+            i18n.setLanguage(select.value);
+        });
+    }
+
+    // Re-renders text that was built from the catalogs or the manifest
+    onLanguageChange() {
+        document.getElementById('language-select').value = i18n.language;
+        
+        if (this.manifest) {
+            this.applyManifestUI();
+        }
+        
+        if (this.hotspotPanel) {
+            this.refreshHotspotList();
+            if (this.hotspotPanel.current) {
+                this.hotspotPanel.open(this.hotspotPanel.current);
+            }
+        }
+        
+        if (this.animationPanel) {
+            this.animationPanel.bind(this.animationPanel.controller);
+        }
+        
+        // Dates and sizes are formatted for the language
+        if (this.gallery && this.gallery.isOpen()) {
+            this.gallery.refresh();
+        }
+        
+        if (this.cameraPicker) {
+            this.cameraPicker.update(this.cameraPicker.cameras, this.cameraDeviceId);
+        }
+    }
+
+    showLoadingError(message, details = []) {
+        // Keep the loading screen up and replace its content with the problem,
+        // so curators see what is wrong with the manifest without a console
+        const loadingContent = document.querySelector('#loading-screen .loading-content');
+        loadingContent.innerHTML = '';
+        loadingContent.classList.add('loading-error');
+        
+        const heading = document.createElement('h2');
+        heading.textContent = message;
+        loadingContent.appendChild(heading);
+        
+        if (details.length > 0) {
+            const list = document.createElement('ul');
+            details.forEach(detail => {
+                const item = document.createElement('li');
+                item.textContent = detail;
+                list.appendChild(item);
+            });
+            loadingContent.appendChild(list);
         }
     }
 
@@ -114,109 +454,306 @@ class WebARApp {
         progressFill.style.width = `${percentage}%`;
     }
 
-    async preloadModel() {
-        const loader = new GLTFLoader();
-        
-        try {
-            const gltf = await new Promise((resolve, reject) => {
-                loader.load(
-                    './src/assets/models/parfume/parfume.glb', // CHANGED: now loads parfume.glb (GLB model)
-                    resolve,
-                    undefined,
-                    reject
-                );
-            });
+    createTargetState(config) {
+        const content = new THREE.Group(); // Holds model, shadow and hotspots, scaled / faded by the loss policy
+        
+        return {
+            config,
+            anchor: null,
+            content,
+            manipulator: new THREE.Group(), // Visitor's pinch / twist / drag transform, child of content
+            gesture: { scale: 1, yaw: 0, pitch: 0, offsetX: 0, offsetY: 0 }, // Goal the manipulator eases to
+            spinner: null, // Shown on the anchor while the model loads
+            model: null,
+            modelMaterials: [], // The model instance's own copies of the asset's materials
+            modelPromise: null,
+            retainsAsset: false, // Whether this target currently keeps its asset from being evicted
+            animation: null, // AnimationController, when the model has clips
+            shadowPlane: null,
+            hotspots: new HotspotMarkers(config.hotspots, content),
+            hotspotsShown: false, // Whether this target's hotspots are in the accessible list
+            isVisible: false,
+            foundAt: 0,
+            
+            // Idle animation state
+            initialModelY: undefined,
+            initialModelRotationY: undefined,
+            floatTime: 0,
+            rotationTime: 0,
+            floatAmplitude: 0,
+            floatSpeed: 0,
+            rotationAmplitude: 0,
+            rotationSpeed: 0,
+            
+            // Stabilization state: the filter smooths MindAR's raw anchor pose into
+            // filteredMatrix, displayMatrix is what the anchor actually renders
+            // (differs while blending back in after a tracking loss)
+            poseFilter: createPoseFilter(config.tracking.filter),
+            filteredMatrix: new THREE.Matrix4(),
+            displayMatrix: new THREE.Matrix4(),
+            blendFromMatrix: new THREE.Matrix4(),
+            
+            // Tracking loss policy and the opacity currently applied to materials
+            loss: new TrackingLossController(config.tracking),
+            opacity: 1,
+            
+            debugHelper: null // AnchorHelper while the diagnostics HUD is on
+        };
+    }
 
-            this.model = gltf.scene;
-            
-            // Optimize model for mobile performance
-            if (this.isMobile) {
-                this.optimizeModelForMobile(this.model);
-            }
-            
-            // Get model bounding box to calculate proper scaling
-            const box = new THREE.Box3().setFromObject(this.model);
-            const size = box.getSize(new THREE.Vector3());
-            const center = box.getCenter(new THREE.Vector3());
-            
-            // Calculate scale to fit the model within the target bounds
-            // Assuming target is roughly 1 unit wide
-            const targetSize = 0.8; // 80% of target size for padding
-            const maxDimension = Math.max(size.x, size.y, size.z);
-            const scale = targetSize / maxDimension;
-            
-            // Apply scaling
-            this.model.scale.set(scale, scale, scale);
-            
-            // Center the model and position it on top of the target
-            this.model.position.set(
-                -center.x * scale, // Center horizontally
-                -center.y * scale + size.y * scale * 0.5, // Place on top of target
-                0.05 // Higher above the target plane for better mobile visibility
-            );
-            
-            // Keep original rotation (no rotation override)
-            // this.model.rotation.y = Math.PI;
-            
-            // Add model to anchor with event listeners for stability
-            const anchor = this.mindarThree.addAnchor(0);
+    setupTargets() {
+        const { targets, defaults, assets = {} } = this.manifest;
+        
+        const budgetMB = this.device.isMobile ? (assets.mobileMemoryBudgetMB || 128) : (assets.memoryBudgetMB || 512);
+        this.assets = new AssetManager({
+            loader: createGLTFLoader(this.renderer, { decoderPath: assets.decoderPath }),
+            budgetBytes: budgetMB * 1024 * 1024,
+            onStateChange: (url, state, error) => this.onAssetStateChange(url, state, error),
+            onEvict: (url) => this.onAssetEvicted(url)
+        });
+        
+        this.targets = targets.map(entry => this.createTargetState(
+            resolveTargetConfig(entry, defaults, { isMobile: this.device.isMobile })
+        ));
+        
+        for (const target of this.targets) {
+            // Add an anchor per target with event listeners for stability
+            const anchor = this.mindarThree.addAnchor(target.config.targetIndex);
             
             // Add target tracking events for smooth transitions
             anchor.onTargetFound = () => {
-                this.onTargetFound();
+                this.onTargetFound(target);
             };
             
             anchor.onTargetLost = () => {
-                this.onTargetLost();
+                this.onTargetLost(target);
             };
             
-            // Create a subtle shadow plane (only on desktop)
-            if (!this.isMobile) {
-                this.createShadowPlane(anchor.group, scale);
-            }
+            target.spinner = this.createLoadingSpinner();
+            target.content.add(target.spinner);
+            target.content.add(target.manipulator);
             
-            // Ensure model is visible before adding to anchor
-            this.model.visible = true;
-            this.model.traverse((child) => {
-                if (child.isMesh) {
-                    child.visible = true;
-                    if (child.material) {
-                        child.material.visible = true;
-                        child.material.transparent = false;
-                        child.material.opacity = 1.0;
-                    }
-                }
+            anchor.group.add(target.content);
+            target.content.visible = false;
+            target.anchor = anchor;
+        }
+    }
+
+    createLoadingSpinner() {
+        // Open ring spun in updateTarget() while the target's model loads
+        const spinner = new THREE.Mesh(
+            new THREE.RingGeometry(0.08, 0.1, 32, 1, 0, Math.PI * 1.5),
+            new THREE.MeshBasicMaterial({
+                color: 0xffffff,
+                transparent: true,
+                opacity: 0.85,
+                depthTest: false
+            })
+        );
+        spinner.position.set(0, 0, 0.05);
+        spinner.renderOrder = 999;
+        spinner.visible = false;
+        return spinner;
+    }
+
+    // Preloads targets flagged with preload: true in the background
+    preloadTargets() {
+        this.targets
+            .filter(target => target.config.preload)
+            .forEach(target => this.ensureTargetModel(target));
+    }
+
+    ensureTargetModel(target) {
+        if (target.model || target.modelPromise) return;
+        
+        target.modelPromise = this.assets.load(target.config.model)
+            .then(gltf => {
+                this.attachTargetModel(target, gltf);
+            })
+            .catch(error => {
+                console.error(`Failed to load 3D model for target "${target.config.name}":`, error);
+            })
+            .finally(() => {
+                target.modelPromise = null;
             });
-            
-            anchor.group.add(this.model);
-            
-            // Store anchor reference
-            this.anchor = anchor;
+    }
+
+    // Warms the cache for the targets a visitor is likely to scan next
+    prefetchRelatedTargets(target) {
+        (target.config.prefetch || []).forEach(targetIndex => {
+            const related = this.targets.find(other => other.config.targetIndex === targetIndex);
+            if (related && !related.model) {
+                this.assets.prefetch(related.config.model);
+            }
+        });
+    }
+
+    onAssetStateChange(url, state, error) {
+        this.targets
+            .filter(target => target.config.model === url)
+            .forEach(target => {
+                target.spinner.visible = state === AssetState.LOADING;
+            });
+        
+        if (state === AssetState.ERROR) {
+            if (error instanceof UnsupportedExtensionError) {
+                this.showStatus(t('status.unsupportedModel'), true);
+            } else {
+                this.showStatus(t('status.modelFailed'), true);
+            }
+        }
+    }
+
+    onAssetEvicted(url) {
+        this.targets
+            .filter(target => target.config.model === url && target.model)
+            .forEach(target => this.detachTargetModel(target));
+    }
 
-            // Add animations if available (limit on mobile)
-            if (gltf.animations && gltf.animations.length > 0) {
-                this.mixer = new THREE.AnimationMixer(this.model);
-                // Limit animations on mobile for better performance
-                const maxAnimations = this.isMobile ? 1 : gltf.animations.length;
-                for (let i = 0; i < maxAnimations; i++) {
-                    this.mixer.clipAction(gltf.animations[i]).play();
+    attachTargetModel(target, gltf) {
+        const { config } = target;
+        
+        // Each target gets its own instance with its own materials, so fading
+        // one target leaves others showing the same model alone; geometries
+        // and textures stay shared with the cached asset
+        const model = cloneSkinned(gltf.scene);
+        target.modelMaterials = this.cloneModelMaterials(model);
+        
+        // Optimize model for mobile performance
+        if (this.device.isMobile) {
+            this.optimizeModelForMobile(model);
+        }
+        this.applyTextureQuality(model);
+        
+        // Get model bounding box to calculate proper scaling
+        const box = new THREE.Box3().setFromObject(model);
+        const size = box.getSize(new THREE.Vector3());
+        const center = box.getCenter(new THREE.Vector3());
+        
+        // Calculate scale to fit the model within the target bounds
+        // Assuming target is roughly 1 unit wide
+        const targetSize = config.placement.fit;
+        const maxDimension = Math.max(size.x, size.y, size.z);
+        const scale = targetSize / maxDimension;
+        
+        // Apply scaling
+        model.scale.set(scale, scale, scale);
+        
+        // Center the model and position it on top of the target
+        const [offsetX, offsetY, offsetZ] = config.placement.offset;
+        model.position.set(
+            -center.x * scale + offsetX, // Center horizontally
+            -center.y * scale + size.y * scale * 0.5 + offsetY, // Place on top of target
+            offsetZ // Above the target plane for better mobile visibility
+        );
+        
+        const [rotationX, rotationY, rotationZ] = config.placement.rotation;
+        model.rotation.set(
+            THREE.MathUtils.degToRad(rotationX),
+            THREE.MathUtils.degToRad(rotationY),
+            THREE.MathUtils.degToRad(rotationZ)
+        );
+        
+        // Create a subtle shadow plane, shown on tiers that render shadows
+        if (config.behaviour.shadow) {
+            this.createShadowPlane(target, scale);
+            target.shadowPlane.visible = this.quality.shadows;
+        }
+        
+        // Ensure model is visible before adding to anchor
+        model.visible = true;
+        model.traverse((child) => {
+            if (child.isMesh) {
+                child.visible = true;
+                if (child.material) {
+                    child.material.visible = true;
+                    child.material.transparent = false;
+                    child.material.opacity = 1.0;
                 }
             }
+        });
+        
+        target.manipulator.add(model);
+        target.model = model;
+        target.opacity = 1;
+        target.hotspots.attach(model);
+
+        // One clip plays at a time, picked by the manifest or the animation panel
+        if (gltf.animations && gltf.animations.length > 0) {
+            target.animation = new AnimationController(model, gltf.animations, {
+                crossFadeMs: config.animation.crossFadeMs
+            });
             
-            // Add floating animation (simplified for mobile)
-            this.addFloatingAnimation();
+            // A model that arrives after detection still gets its greeting
+            if (target.isVisible && config.animation.onFound) {
+                this.playFoundClip(target);
+            } else {
+                this.playIdleClip(target);
+            }
+        }
+        
+        // Add floating animation (simplified for mobile)
+        this.addFloatingAnimation(target);
+    }
 
-        } catch (error) {
-            console.error('Failed to load 3D model:', error);
-            this.showStatus('Failed to load 3D model', true);
+    // Replaces every material of model with a copy and returns the copies. A
+    // material used by several meshes stays shared between them.
+    cloneModelMaterials(model) {
+        const copies = new Map();
+        const copy = (material) => {
+            if (!copies.has(material)) {
+                copies.set(material, material.clone());
+            }
+            return copies.get(material);
+        };
+        
+        model.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+            child.material = Array.isArray(child.material) ? child.material.map(copy) : copy(child.material);
+        });
+        return [...copies.values()];
+    }
+
+    detachTargetModel(target) {
+        if (target.animation) {
+            target.animation.dispose();
+            target.animation = null;
+        }
+        
+        if (target.shadowPlane) {
+            target.manipulator.remove(target.shadowPlane);
+            target.shadowPlane.geometry.dispose();
+            target.shadowPlane.material.dispose();
+            target.shadowPlane = null;
+        }
+        
+        target.hotspots.detach();
+        target.manipulator.remove(target.model);
+        target.model = null;
+        
+        // The cached asset keeps its own materials, these were this instance's
+        target.modelMaterials.forEach(material => material.dispose());
+        target.modelMaterials = [];
+        target.initialModelY = undefined;
+        target.initialModelRotationY = undefined;
+        
+        // Assets are only evicted when released, i.e. not on screen
+        if (target.retainsAsset) {
+            this.assets.release(target.config.model);
+            target.retainsAsset = false;
         }
     }
 
     async setupAR() {
         // Initialize MindAR
+        this.trackerSettings = resolveTrackerSettings(this.manifest.tracker);
         this.mindarThree = new MindARThree({
             container: document.querySelector('#ar-container'),
-            imageTargetSrc: './src/assets/image_targets/targets.mind'
+            imageTargetSrc: this.manifest.imageTargets,
+            ...toMindAROptions(this.trackerSettings),
+            // MindAR asks for this exact camera instead of the back-facing
+            // default, whichever way it faces
+            environmentDeviceId: readStoredCamera()
         });
 
         const { renderer, scene, camera } = this.mindarThree;
@@ -229,62 +766,118 @@ class WebARApp {
         this.renderer.autoClear = false;
         this.renderer.setClearColor(0x000000, 0); // Transparent background
         
-        // Mobile-specific renderer optimizations
-        if (this.isMobile) {
-            // Reduce shadow map size for better performance
-            this.renderer.shadowMap.enabled = false; // Disable shadows on mobile
-            this.renderer.setPixelRatio(Math.min(window.devicePixelRatio, 2)); // Limit pixel ratio
-        } else {
-            this.renderer.shadowMap.enabled = true;
-            this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
-        }
+        this.renderer.shadowMap.type = THREE.PCFSoftShadowMap;
 
-        // Add optimized lighting for better 3D model appearance
-        const ambientLight = new THREE.AmbientLight(0xffffff, 0.8); // Increased ambient light for mobile
-        this.scene.add(ambientLight);
+        // Add the light rig described by the manifest
+        this.setupLighting(this.manifest.lighting || []);
+        
+        // Pixel ratio, shadows and extra lights follow the quality tier
+        this.applyQuality(this.quality);
+    }
 
-        // Main directional light - enhanced for mobile visibility
-        const directionalLight = new THREE.DirectionalLight(0xffffff, 1.0); // Increased intensity
-        directionalLight.position.set(2, 2, 1);
-        if (!this.isMobile) {
-            directionalLight.castShadow = true;
-        }
-        this.scene.add(directionalLight);
+    setupLighting(lights) {
+        lights.forEach(light => {
+            const color = new THREE.Color(light.color || '#ffffff');
+            
+            let sceneLight;
+            if (light.type === 'ambient') {
+                sceneLight = new THREE.AmbientLight(color, light.intensity);
+            } else {
+                sceneLight = new THREE.DirectionalLight(color, light.intensity);
+                sceneLight.position.fromArray(light.position || [0, 1, 0]);
+                
+                // Only rendered while the renderer's shadow map is on
+                sceneLight.castShadow = Boolean(light.castShadow);
+            }
+            this.scene.add(sceneLight);
+            
+            // Lights flagged with mobile: false are extras, switched off on
+            // the lower tiers; mobileIntensity makes up for them meanwhile
+            this.lights.push({
+                light: sceneLight,
+                extra: light.mobile === false,
+                intensity: light.intensity,
+                reducedIntensity: light.mobileIntensity !== undefined ? light.mobileIntensity : light.intensity
+            });
+        });
+    }
+
+    // Applies a tier's settings (see QUALITY_SETTINGS); called on startup
+    // and whenever the governor changes tier
+    applyQuality(settings) {
+        this.quality = settings;
+        this.targetFPS = settings.targetFPS;
+        this.frameInterval = 1000 / this.targetFPS;
+        this.canvasUpdateInterval = settings.canvasUpdateInterval;
         
-        // Add additional fill light for mobile to ensure model visibility
-        if (this.isMobile) {
-            const fillLight = new THREE.DirectionalLight(0xffffff, 0.6);
-            fillLight.position.set(-1, 1, 1);
-            this.scene.add(fillLight);
-        }
+        if (!this.renderer) return;
         
-        // Only add additional lights on desktop for better performance
-        if (!this.isMobile) {
-            // Fill light from the opposite side
-            const fillLight = new THREE.DirectionalLight(0xffffff, 0.3);
-            fillLight.position.set(-1, 1, 1);
-            this.scene.add(fillLight);
+        this.renderer.setPixelRatio(Math.min(this.device.pixelRatio, settings.maxPixelRatio));
+        
+        if (this.renderer.shadowMap.enabled !== settings.shadows) {
+            this.renderer.shadowMap.enabled = settings.shadows;
             
-            // Rim light from behind
-            const rimLight = new THREE.DirectionalLight(0xffffff, 0.2);
-            rimLight.position.set(0, 1, -1);
-            this.scene.add(rimLight);
+            // Shader programs are built with or without shadow mapping
+            this.scene.traverse((object) => {
+                if (object.material) {
+                    [].concat(object.material).forEach(material => {
+                        material.needsUpdate = true;
+                    });
+                }
+            });
         }
+        
+        this.lights.forEach(({ light, extra, intensity, reducedIntensity }) => {
+            light.visible = !extra || settings.extraLights;
+            light.intensity = settings.extraLights ? intensity : reducedIntensity;
+        });
+        
+        this.targets.forEach(target => {
+            if (target.shadowPlane) {
+                target.shadowPlane.visible = settings.shadows;
+            }
+            if (target.model) {
+                this.applyTextureQuality(target.model);
+            }
+        });
     }
 
-
+    // Texture filtering for the tier. Textures are shared between targets
+    // using the same model, so unchanged ones are skipped rather than
+    // uploaded again.
+    applyTextureQuality(model) {
+        const { mipmaps, anisotropy } = this.quality;
+        const level = Math.max(1, Math.min(anisotropy, this.renderer.capabilities.getMaxAnisotropy()));
+        const minFilter = mipmaps ? THREE.LinearMipmapLinearFilter : THREE.LinearFilter;
+        
+        model.traverse((child) => {
+            if (!child.isMesh || !child.material) return;
+            
+            [].concat(child.material).forEach(material => {
+                Object.values(material).forEach(texture => {
+                    // Only the model's own image textures, not environment maps
+                    if (!texture || !texture.isTexture || texture.isCubeTexture || texture.isRenderTargetTexture) return;
+                    
+                    // Compressed (KTX2) textures bring their own mip levels
+                    const filterChanged = !texture.isCompressedTexture && texture.minFilter !== minFilter;
+                    if (!filterChanged && texture.anisotropy === level) return;
+                    
+                    if (filterChanged) {
+                        texture.minFilter = minFilter;
+                        texture.generateMipmaps = mipmaps;
+                    }
+                    texture.anisotropy = level;
+                    texture.needsUpdate = true;
+                });
+            });
+        });
+    }
 
     optimizeModelForMobile(model) {
         model.traverse((child) => {
             if (child.isMesh) {
                 // Simplify materials for mobile
                 if (child.material) {
-                    // Reduce texture quality for mobile
-                    if (child.material.map) {
-                        child.material.map.generateMipmaps = false;
-                        child.material.map.minFilter = THREE.LinearFilter;
-                    }
-                    
                     // Use simpler material types
                     if (child.material.isMeshStandardMaterial) {
                         child.material.roughness = 0.5;
@@ -313,30 +906,25 @@ class WebARApp {
         });
     }
 
-    addFloatingAnimation() {
-        if (!this.model) return;
+    addFloatingAnimation(target) {
+        if (!target.model) return;
         
         // Store initial position and rotation for stable animation
-        this.initialModelY = this.model.position.y;
-        this.initialModelRotationY = this.model.rotation.y;
-        this.floatTime = 0;
-        this.rotationTime = 0;
-        
-        // Animation parameters for stability - reduced to minimize jitter
-        if (this.isMobile) {
-            // Simplified animations for mobile performance
-            this.floatAmplitude = 0.005; // Reduced amplitude
-            this.floatSpeed = 0.8; // Slower speed
-            this.rotationSpeed = 0.1; // Minimal rotation
-        } else {
-            // Desktop animations
-            this.floatAmplitude = 0.008;
-            this.floatSpeed = 1.0;
-            this.rotationSpeed = 0.15;
-        }
+        target.initialModelY = target.model.position.y;
+        target.initialModelRotationY = target.model.rotation.y;
+        target.floatTime = 0;
+        target.rotationTime = 0;
+        
+        // Animation parameters come from the manifest (mobile values are
+        // already merged in) - keep them small to minimize jitter
+        const { float, idleRotation } = target.config.behaviour;
+        target.floatAmplitude = float ? float.amplitude : 0;
+        target.floatSpeed = float ? float.speed : 0;
+        target.rotationAmplitude = idleRotation ? THREE.MathUtils.degToRad(idleRotation.amplitude) : 0;
+        target.rotationSpeed = idleRotation ? idleRotation.speed : 0;
     }
 
-    createShadowPlane(parentGroup, modelScale) {
+    createShadowPlane(target, modelScale) {
         // Create a subtle circular shadow beneath the model
         const shadowGeometry = new THREE.CircleGeometry(0.3 * modelScale, 16);
         const shadowMaterial = new THREE.MeshBasicMaterial({
@@ -350,80 +938,349 @@ class WebARApp {
         shadowPlane.rotation.x = -Math.PI / 2; // Rotate to lie flat
         shadowPlane.position.set(0, 0.001, 0); // Just above the target surface
         
-        parentGroup.add(shadowPlane);
+        target.manipulator.add(shadowPlane);
         
         // Store reference for animation
-        this.shadowPlane = shadowPlane;
+        target.shadowPlane = shadowPlane;
     }
 
-    onTargetFound() {
-        this.isTargetVisible = true;
-        this.trackingConfidence = 1.0;
-        this.lastStableTime = Date.now();
+    onTargetFound(target) {
+        // Still on screen from a hold / fade - blend from the shown pose
+        const blendFromShown = target.loss.found(performance.now());
+        if (blendFromShown) {
+            target.blendFromMatrix.copy(target.displayMatrix);
+        }
         
-        // Reset animation timing for smooth start
-        this.floatTime = 0;
-        this.rotationTime = 0;
+        target.isVisible = true;
+        target.foundAt = performance.now();
+        this.analytics.track('target_found', { target: target.config.name, targetIndex: target.config.targetIndex });
+        this.events.emit('targetFound', { target: target.config.name, targetIndex: target.config.targetIndex });
         
-        // Initialize stabilization
-        if (this.anchor && this.anchor.group) {
-            this.targetPosition.copy(this.anchor.group.position);
-            this.targetRotation.copy(this.anchor.group.rotation);
-            this.positionHistory = [];
-            this.rotationHistory = [];
+        // Load this target's model on first detection and warm up the next ones
+        this.ensureTargetModel(target);
+        this.prefetchRelatedTargets(target);
+        
+        // Reset animation timing for smooth start (keep it running if the
+        // model never left the screen)
+        if (!blendFromShown) {
+            target.floatTime = 0;
+            target.rotationTime = 0;
+            
+            if (target.animation && target.config.animation.onFound) {
+                this.playFoundClip(target);
+            }
         }
         
-        // Ensure model is fully visible when target is found
-        if (this.model) {
-            this.model.traverse((child) => {
-                if (child.isMesh && child.material) {
-                    // Store original opacity
-                    if (!child.material.userData.originalOpacity) {
-                        child.material.userData.originalOpacity = child.material.opacity || 1.0;
-                    }
-                    // Set to fully visible immediately
-                    child.material.transparent = false;
-                    child.material.opacity = 1.0;
-                    child.material.visible = true;
-                    child.visible = true;
-                }
-            });
+        // Start filtering from the first fresh pose
+        target.poseFilter.reset();
+        
+        // Narration resumes where it was paused when the target was lost
+        if (target.config.narration) {
+            this.narration.start(target.config.name, target.config.narration);
         }
         
         // Debug logging for mobile
-        if (this.isMobile) {
-            console.log('Target found - Model should be visible');
+        if (this.device.isMobile) {
+            console.log(`Target "${target.config.name}" found - Model should be visible`);
+        }
+    }
+
+    // The clip that plays while nothing else does (animation.autoplay)
+    getIdleClipName(target) {
+        const { autoplay } = target.config.animation;
+        if (autoplay === true) return target.animation.getClipNames()[0];
+        return autoplay || null;
+    }
+
+    playIdleClip(target) {
+        const name = this.getIdleClipName(target);
+        if (name !== null) {
+            target.animation.play(name, { loop: target.config.animation.loop });
         }
     }
 
-    onTargetLost() {
-        this.isTargetVisible = false;
-        this.trackingConfidence = 0;
+    // Plays animation.onFound once, then fades back to the idle clip
+    playFoundClip(target) {
+        const idle = this.getIdleClipName(target);
+        target.animation.play(target.config.animation.onFound, {
+            loop: 'once',
+            then: idle !== null ? { name: idle, loop: target.config.animation.loop } : null
+        });
+    }
+
+    onTargetLost(target) {
+        if (target.isVisible) {
+            const lost = {
+                target: target.config.name,
+                targetIndex: target.config.targetIndex,
+                dwellMs: Math.round(performance.now() - target.foundAt)
+            };
+            this.analytics.track('target_lost', lost);
+            this.events.emit('targetLost', lost);
+        }
+        target.isVisible = false;
+        target.loss.lost(performance.now());
+        this.narration.stop(target.config.name);
         
         // Clear stabilization data
-        this.positionHistory = [];
-        this.rotationHistory = [];
+        target.poseFilter.reset();
     }
 
     setupUI() {
-        // Screenshot functionality
+        // Screenshot functionality; failures are shown to the visitor
         document.getElementById('screenshot-btn').addEventListener('click', () => {
-            this.takeScreenshot();
+            this.takeScreenshot().catch(() => {});
         });
 
         // Recording functionality
         document.getElementById('record-btn').addEventListener('click', () => {
-            this.startRecording();
+            this.startRecording().catch(() => {});
         });
 
         document.getElementById('stop-record-btn').addEventListener('click', () => {
-            this.stopRecording();
+            this.stopRecording().catch(() => {});
+        });
+        
+        this.recordingCountdown = new RecordingCountdown(document.getElementById('recording-countdown'));
+        this.recordingProgress = new RecordingProgress(document.getElementById('stop-record-btn'));
+        
+        this.cameraPicker = new CameraPicker({
+            toggle: document.getElementById('camera-btn'),
+            panel: document.getElementById('camera-panel'),
+            labelFor: (camera) => this.cameraLabel(camera),
+            // Failures are shown to the visitor
+            onSelect: (deviceId) => this.switchCamera(deviceId).catch(() => {}),
+            onFlip: () => this.flipCamera().catch(() => {})
+        });
+        
+        this.loopPanel = new LoopPanel({
+            toggle: document.getElementById('loop-btn'),
+            panel: document.getElementById('loop-panel'),
+            onCapture: (mode) => this.captureLoop(mode)
+        });
+
+        this.hotspotPanel = new HotspotPanel({
+            panel: document.getElementById('hotspot-panel'),
+            list: document.getElementById('hotspot-list'),
+            onSelect: (hotspot) => this.openHotspot(hotspot, { fromKeyboard: true }),
+            onClose: () => this.setActiveHotspot(null)
+        });
+
+        this.setupLanguagePicker();
+
+        this.narration = new NarrationPlayer({
+            overlay: document.getElementById('captions'),
+            controls: document.getElementById('narration-controls')
         });
 
+        this.animationPanel = new AnimationPanel({
+            toggle: document.getElementById('animation-btn'),
+            panel: document.getElementById('animation-panel')
+        });
+
+        this.setupGallery();
+        this.setupRecordingAudio();
+        
+        // These panels sit in the same spot; opening one closes the others
+        const panels = [this.animationPanel, this.audioPanel, this.loopPanel, this.cameraPicker].filter(Boolean);
+        panels.forEach(panel => panel.toggle.addEventListener('click', () => {
+            panels.filter(other => other !== panel).forEach(other => other.setOpen(false));
+        }));
+
+        // Developer sliders for the tracker
+        const params = new URLSearchParams(window.location.search);
+        if (params.has('tune')) {
+            this.setupTuningPanel();
+        }
+        
+        // Diagnostics, also toggled by five taps in the top-left corner
+        this.debugHUD = new DebugHUD({
+            enabled: params.has('debug'),
+            onToggle: (enabled) => this.setDebugHelpers(enabled)
+        });
+
+        // Pinch / twist / drag on the scene manipulates the model, taps open hotspots
+        this.setupGestures();
+
         // Add visibility and focus event handlers for app switching
         this.setupVisibilityHandlers();
     }
 
+    // The gallery button only shows where captures can be stored
+    setupGallery() {
+        const toggle = document.getElementById('gallery-btn');
+        
+        this.gallery = new GalleryDrawer({
+            toggle,
+            drawer: document.getElementById('gallery-drawer'),
+            store: this.captureStore,
+            onShare: (record) => this.shareStoredCapture(record),
+            onDownload: (record) => {
+                const url = URL.createObjectURL(record.blob);
+                downloadFile(url, record.name);
+                setTimeout(() => URL.revokeObjectURL(url), 1000);
+            }
+        });
+        
+        this.captureStore.open()
+            .then(() => {
+                toggle.classList.remove('hidden');
+                return this.captureStore.cleanup();
+            })
+            .catch(error => {
+                console.warn('Capture gallery unavailable:', error);
+            });
+    }
+
+    // Sound in recordings needs Web Audio to mix it into a stream
+    setupRecordingAudio() {
+        const { recording } = this.device;
+        if (!recording.supported || !recording.audio) return;
+        
+        this.recordingAudio = new RecordingAudio([this.narration.audio]);
+        this.audioPanel = new AudioPanel({
+            toggle: document.getElementById('audio-btn'),
+            panel: document.getElementById('audio-panel')
+        });
+        document.getElementById('audio-btn').classList.remove('hidden');
+    }
+
+    // Resolves with the mixed audio track for the next recording, or null
+    async startRecordingAudio() {
+        if (!this.recordingAudio) return null;
+        
+        try {
+            const { track, microphoneError } = await this.recordingAudio.start(this.audioPanel.getSources());
+            if (microphoneError) {
+                this.showStatus(t('status.microphoneUnavailable'), true);
+                if (microphoneError.name === 'NotAllowedError') {
+                    this.audioPanel.disableMicrophone();
+                }
+            }
+            return track;
+        } catch (error) {
+            console.error('Recording audio failed, recording without sound:', error);
+            this.recordingAudio.stop();
+            return null;
+        }
+    }
+
+    setupGestures() {
+        // On the mirrored front camera view, left and right swap
+        const mirror = (dx) => (this.cameraMirrored ? -dx : dx);
+        
+        this.gestures = new GestureController(document.getElementById('app'), {
+            onPinch: (factor) => this.updateGesture(({ gesture, limits }) => {
+                gesture.scale = THREE.MathUtils.clamp(gesture.scale * factor, limits.scale.min, limits.scale.max);
+            }),
+            onTwist: (delta) => this.updateGesture(({ gesture, limits }) => {
+                gesture.yaw = clampOptional(gesture.yaw - mirror(delta), limits.rotation.min, limits.rotation.max);
+            }),
+            onDrag: (rawDx, dy) => this.updateGesture(({ gesture, limits }) => {
+                const width = window.innerWidth;
+                const dx = mirror(rawDx);
+                
+                if (limits.drag === 'orbit') {
+                    // Horizontal drag spins the model, vertical drag tilts it
+                    gesture.yaw = clampOptional(gesture.yaw + (dx / width) * Math.PI * 2, limits.rotation.min, limits.rotation.max);
+                    gesture.pitch = clampOptional(gesture.pitch + (dy / width) * Math.PI * 2, limits.pitch.min, limits.pitch.max);
+                } else if (limits.drag === 'move') {
+                    // Roughly one target width per screen width, within moveRadius
+                    const offset = new THREE.Vector2(
+                        gesture.offsetX + dx / width / gesture.scale,
+                        gesture.offsetY - dy / width / gesture.scale
+                    ).clampLength(0, limits.moveRadius);
+                    gesture.offsetX = offset.x;
+                    gesture.offsetY = offset.y;
+                }
+            }),
+            onTap: (x, y) => this.onSceneTap(x, y),
+            onDoubleTap: () => this.updateGesture(({ gesture }) => {
+                Object.assign(gesture, { scale: 1, yaw: 0, pitch: 0, offsetX: 0, offsetY: 0 });
+            })
+        });
+    }
+
+    // Runs a gesture update against the active target, if it allows gestures
+    updateGesture(apply) {
+        const target = this.getActiveTarget();
+        if (!target || !target.config.gestures.enabled) return;
+        
+        apply({ gesture: target.gesture, limits: this.getGestureLimits(target) });
+    }
+
+    getGestureLimits(target) {
+        if (!target.gestureLimits) {
+            // Manifest limits are in degrees; resolve them once
+            const { scale, rotation, pitch, drag, moveRadius } = target.config.gestures;
+            const toRadians = value => (value === null ? null : THREE.MathUtils.degToRad(value));
+            target.gestureLimits = {
+                scale,
+                rotation: { min: toRadians(rotation.min), max: toRadians(rotation.max) },
+                pitch: { min: toRadians(pitch.min), max: toRadians(pitch.max) },
+                drag,
+                moveRadius
+            };
+        }
+        return target.gestureLimits;
+    }
+
+    // The visible target that was found most recently
+    getActiveTarget() {
+        return this.targets
+            .filter(target => target.isVisible && target.model)
+            .reduce((latest, target) => (!latest || target.foundAt > latest.foundAt ? target : latest), null);
+    }
+
+    // Opens the hotspot under a tap, if any
+    onSceneTap(x, y) {
+        const rect = this.renderer.domElement.getBoundingClientRect();
+        const pointerX = ((x - rect.left) / rect.width) * 2 - 1;
+        this.pointer.set(
+            this.cameraMirrored ? -pointerX : pointerX,
+            -((y - rect.top) / rect.height) * 2 + 1
+        );
+        this.raycaster.setFromCamera(this.pointer, this.camera);
+        
+        // The raycaster doesn't skip hidden objects, so only test anchors on screen.
+        // Markers draw on top of the model, so the nearest marker wins even if a
+        // mesh is closer.
+        const hit = this.targets
+            .filter(target => target.content.visible && target.hotspotsShown)
+            .flatMap(target => this.raycaster.intersectObject(target.anchor.group, true))
+            .sort((a, b) => a.distance - b.distance)
+            .find(intersection => intersection.object.userData.hotspot);
+        
+        if (hit) {
+            this.openHotspot(hit.object.userData.hotspot);
+        }
+    }
+
+    openHotspot(hotspot, options) {
+        this.setActiveHotspot(hotspot);
+        this.hotspotPanel.open(hotspot, options);
+    }
+
+    // Highlights the marker of the open hotspot
+    setActiveHotspot(hotspot) {
+        this.targets.forEach(target => {
+            target.hotspots.active = hotspot && target.hotspots.has(hotspot) ? hotspot : null;
+        });
+    }
+
+    // Lists the hotspots of every target on screen, closing the panel of a
+    // target that got lost
+    refreshHotspotList() {
+        const entries = this.targets
+            .filter(target => target.hotspotsShown)
+            .flatMap(target => target.hotspots.getObjects().map(marker => ({
+                hotspot: marker.userData.hotspot,
+                targetName: target.config.name
+            })));
+        
+        this.hotspotPanel.setHotspots(entries);
+    }
+
     setupVisibilityHandlers() {
         // Handle page visibility changes (switching apps)
         document.addEventListener('visibilitychange', () => {
@@ -456,11 +1313,26 @@ class WebARApp {
     onAppPause() {
         // App is being suspended - pause rendering to save resources
         this.isAppActive = false;
+        
+        if (this.narration) {
+            this.narration.suspend();
+        }
     }
 
     async onAppResume() {
+        // Only the host page ends its own pause() / stop()
+        if (this.pausedByHost || this.stopped) return;
+        
         // App is resuming - reinitialize video and canvas
         this.isAppActive = true;
+        this.governor.reset(); // Frame rate right after resuming says nothing
+        
+        if (this.narration) {
+            this.narration.resume();
+        }
+        if (this.recordingAudio) {
+            this.recordingAudio.resume();
+        }
         
         // Wait a bit for the browser to fully restore
         setTimeout(async () => {
@@ -492,80 +1364,78 @@ class WebARApp {
     }
 
     // Stabilization methods
-    updateTrackingStabilization() {
-        if (!this.anchor || !this.anchor.group || !this.isTargetVisible) return;
-
-        const currentTime = Date.now();
-        const anchorGroup = this.anchor.group;
-        
-        // Add current position and rotation to history
-        this.addToHistory(this.positionHistory, anchorGroup.position.clone());
-        this.addToHistory(this.rotationHistory, anchorGroup.rotation.clone());
-        
-        // Calculate smoothed position and rotation
-        const smoothedPosition = this.calculateSmoothedPosition();
-        const smoothedRotation = this.calculateSmoothedRotation();
-        
-        // Apply smoothing based on confidence and stability
-        const timeSinceStable = currentTime - this.lastStableTime;
-        const isStable = timeSinceStable > this.stabilizationDelay;
-        
-        if (isStable && this.trackingConfidence > this.confidenceThreshold) {
-            // Apply smoothed values
-            this.targetPosition.lerp(smoothedPosition, this.smoothingFactor);
-            this.targetRotation.x = THREE.MathUtils.lerp(this.targetRotation.x, smoothedRotation.x, this.smoothingFactor);
-            this.targetRotation.y = THREE.MathUtils.lerp(this.targetRotation.y, smoothedRotation.y, this.smoothingFactor);
-            this.targetRotation.z = THREE.MathUtils.lerp(this.targetRotation.z, smoothedRotation.z, this.smoothingFactor);
-            
-            // Apply to anchor group
-            anchorGroup.position.copy(this.targetPosition);
-            anchorGroup.rotation.copy(this.targetRotation);
-        }
-    }
-
-    addToHistory(history, value) {
-        history.push(value);
-        if (history.length > this.historySize) {
-            history.shift();
+    updateTrackingStabilization(target, currentTime, { visible, poseBlend }) {
+        if (!target.anchor || !target.anchor.group) return;
+
+        const anchorGroup = target.anchor.group;
+        
+        // MindAR assigns a new matrix to the anchor group for every tracked
+        // video frame. If the group still holds our display matrix there is no
+        // new measurement, and feeding our own output back would skew the filter.
+        if (target.isVisible && anchorGroup.matrix !== target.displayMatrix) {
+            anchorGroup.matrix.decompose(this.posePosition, this.poseQuaternion, this.poseScale);
+            
+            const pose = target.poseFilter.filter({
+                position: this.posePosition.toArray(),
+                quaternion: this.poseQuaternion.toArray()
+            }, currentTime);
+            
+            target.filteredMatrix.compose(
+                this.posePosition.fromArray(pose.position),
+                this.poseQuaternion.fromArray(pose.quaternion),
+                this.poseScale
+            );
         }
-    }
-
-    calculateSmoothedPosition() {
-        if (this.positionHistory.length === 0) return new THREE.Vector3();
         
-        const smoothed = new THREE.Vector3();
-        let totalWeight = 0;
+        if (!visible) return;
         
-        // Weighted average with more recent positions having higher weight
-        for (let i = 0; i < this.positionHistory.length; i++) {
-            const weight = (i + 1) / this.positionHistory.length;
-            smoothed.add(this.positionHistory[i].clone().multiplyScalar(weight));
-            totalWeight += weight;
+        if (poseBlend < 1) {
+            // Ease from the pose shown before re-acquisition into the tracked one
+            target.blendFromMatrix.decompose(this.blendPosition, this.blendQuaternion, this.blendScale);
+            target.filteredMatrix.decompose(this.posePosition, this.poseQuaternion, this.poseScale);
+            
+            target.displayMatrix.compose(
+                this.blendPosition.lerp(this.posePosition, poseBlend),
+                this.blendQuaternion.slerp(this.poseQuaternion, poseBlend),
+                this.blendScale.lerp(this.poseScale, poseBlend)
+            );
+        } else {
+            target.displayMatrix.copy(target.filteredMatrix);
         }
         
-        return smoothed.divideScalar(totalWeight);
+        // Anchor groups don't auto-update their matrix, so this is what gets
+        // rendered. MindAR hides lost anchors - the loss policy decides instead.
+        anchorGroup.matrix = target.displayMatrix;
+        anchorGroup.visible = true;
     }
 
-    calculateSmoothedRotation() {
-        if (this.rotationHistory.length === 0) return new THREE.Euler();
+    applyTargetPresence(target, { visible, presence }) {
+        const mode = target.loss.onLost.mode;
         
-        // Simple average for rotation (more complex quaternion slerp could be used)
-        const smoothed = new THREE.Euler();
-        let totalWeight = 0;
+        target.content.visible = visible;
         
-        for (let i = 0; i < this.rotationHistory.length; i++) {
-            const weight = (i + 1) / this.rotationHistory.length;
-            smoothed.x += this.rotationHistory[i].x * weight;
-            smoothed.y += this.rotationHistory[i].y * weight;
-            smoothed.z += this.rotationHistory[i].z * weight;
-            totalWeight += weight;
-        }
+        // Scale exits shrink the content, fade exits make it transparent
+        const scale = mode === 'scale' ? Math.max(presence, 0.001) : 1;
+        target.content.scale.setScalar(scale);
         
-        smoothed.x /= totalWeight;
-        smoothed.y /= totalWeight;
-        smoothed.z /= totalWeight;
+        const opacity = mode === 'fade' && visible ? presence : 1;
+        if (opacity === target.opacity || !target.model) return;
         
-        return smoothed;
+        target.hotspots.setOpacity(opacity);
+        target.model.traverse((child) => {
+            if (child.isMesh && child.material) {
+                const materials = Array.isArray(child.material) ? child.material : [child.material];
+                materials.forEach(material => {
+                    const transparent = opacity < 1;
+                    if (material.transparent !== transparent) {
+                        material.transparent = transparent;
+                        material.needsUpdate = true;
+                    }
+                    material.opacity = opacity;
+                });
+            }
+        });
+        target.opacity = opacity;
     }
 
     updatePerformanceMonitor(currentTime) {
@@ -576,7 +1446,9 @@ class WebARApp {
             this.performanceMonitor.frameCount = 0;
             this.performanceMonitor.lastFPSUpdate = currentTime;
             
-
+            if (this.isAppActive) {
+                this.governor.sample(this.performanceMonitor.currentFPS);
+            }
         }
     }
 
@@ -585,13 +1457,195 @@ class WebARApp {
         document.getElementById('loading-screen').classList.add('hidden');
         
         // Start MindAR
-        await this.mindarThree.start();
+        await this.startTracker();
+        this.updateCameraState();
         
         // Setup composite canvas for media capture
         this.setupCompositeCanvas();
                
         // Start render loop
         this.render();
+        
+        // Warm up the models that should be ready before their target is seen
+        this.preloadTargets();
+    }
+
+    // Starts MindAR on the remembered camera, or on the default one when
+    // that camera is gone
+    async startTracker() {
+        try {
+            await this.mindarThree.start();
+        } catch (error) {
+            if (!this.mindarThree.environmentDeviceId) {
+                throw error;
+            }
+            console.warn('Chosen camera unavailable, using the default one:', error);
+            storeCamera(null);
+            this.mindarThree.environmentDeviceId = null;
+            this.stopTracker();
+            await this.mindarThree.start();
+        }
+    }
+
+    stopTracker() {
+        try {
+            this.mindarThree.stop();
+        } catch (error) {
+            // The camera never started; nothing to stop
+        }
+    }
+
+    // Restarts the tracker on another camera
+    async switchCamera(deviceId) {
+        if (this.trackerRestarting || deviceId === this.cameraDeviceId) return;
+        if (this.isRecording) {
+            this.showStatus(t('status.cameraBusy'), true);
+            this.cameraPicker.update(this.cameraPicker.cameras, this.cameraDeviceId);
+            return;
+        }
+        
+        this.trackerRestarting = true;
+        this.cameraPicker.setBusy(true);
+        this.loseTargets();
+        
+        const previous = this.mindarThree.environmentDeviceId;
+        try {
+            this.stopTracker();
+            this.mindarThree.environmentDeviceId = deviceId;
+            await this.mindarThree.start();
+            storeCamera(deviceId);
+        } catch (error) {
+            console.error('Camera switch failed:', error);
+            this.showStatus(t('status.cameraSwitchFailed'), true);
+            
+            this.stopTracker();
+            this.mindarThree.environmentDeviceId = previous;
+            try {
+                await this.startTracker();
+            } catch (restartError) {
+                console.error('Camera restart failed:', restartError);
+                this.showStatus(t('status.initFailed'), true);
+                this.events.emit('error', { error: restartError, source: 'camera' });
+            }
+        } finally {
+            await this.onTrackerRestarted();
+            this.cameraPicker.setBusy(false);
+            this.trackerRestarting = false;
+        }
+    }
+
+    // Found targets are lost before the tracker stops; the restarted tracker
+    // finds them again
+    loseTargets() {
+        this.targets.forEach(target => {
+            if (target.isVisible) {
+                this.onTargetLost(target);
+            }
+            target.anchor.visible = false;
+            target.anchor.group.visible = false;
+        });
+    }
+
+    async onTrackerRestarted() {
+        // MindAR made a new video element for the new stream
+        this.videoElement = null;
+        this.setupCompositeCanvas();
+        await this.updateCameraState();
+        this.governor.reset();
+    }
+
+    // The tuning panel edits tracker options and the pose filter of every
+    // target; its export is a fragment of the manifest
+    setupTuningPanel() {
+        const filter = this.targets.length > 0
+            ? this.targets[0].config.tracking.filter
+            : { type: DEFAULT_POSE_FILTER };
+        
+        this.tuningPanel = new TuningPanel({
+            tracker: this.trackerSettings,
+            filter,
+            maxTargets: this.targets.length,
+            // Failures are shown in the panel
+            onTrackerChange: (settings) => this.retuneTracker(settings).catch(() => {}),
+            onFilterChange: (config) => {
+                this.targets.forEach(target => {
+                    target.poseFilter = createPoseFilter(config);
+                });
+            }
+        });
+        document.body.appendChild(this.tuningPanel.element);
+    }
+
+    // MindAR only reads its tracker options when it starts. Options changed
+    // while it restarts are applied in another restart right after.
+    async retuneTracker(settings) {
+        if (this.isRecording) {
+            this.tuningPanel.setNote('Stop recording to restart the tracker');
+            return;
+        }
+        this.pendingTrackerSettings = settings;
+        if (this.trackerRestarting) return;
+        
+        this.trackerRestarting = true;
+        this.tuningPanel.setBusy(true);
+        this.cameraPicker.setBusy(true);
+        try {
+            while (this.pendingTrackerSettings) {
+                this.trackerSettings = this.pendingTrackerSettings;
+                this.pendingTrackerSettings = null;
+                
+                this.loseTargets();
+                this.stopTracker();
+                RESTARTABLE_OPTIONS.forEach(key => {
+                    this.mindarThree[key] = this.trackerSettings[key];
+                });
+                await this.startTracker();
+            }
+            this.tuningPanel.setBusy(false);
+        } catch (error) {
+            console.error('Tracker restart failed:', error);
+            this.tuningPanel.setBusy(false);
+            // MindAR rejects without a reason when the camera doesn't start
+            this.tuningPanel.setNote(`Tracker restart failed: ${error && error.message ? error.message : 'no reason given'}`);
+        } finally {
+            await this.onTrackerRestarted();
+            this.cameraPicker.setBusy(false);
+            this.trackerRestarting = false;
+        }
+    }
+
+    // Front to back camera and back again
+    flipCamera() {
+        const next = nextCamera(this.cameraPicker.cameras, this.cameraDeviceId);
+        return next ? this.switchCamera(next.deviceId) : Promise.resolve();
+    }
+
+    // Reads which camera is running and which others there are, and mirrors
+    // the view for a front camera like a mirror would
+    async updateCameraState() {
+        const video = document.querySelector('#ar-container video');
+        const track = video && video.srcObject ? video.srcObject.getVideoTracks()[0] : null;
+        
+        try {
+            const cameras = await listCameras(track);
+            const settings = track ? track.getSettings() : {};
+            const active = cameras.find(camera => camera.deviceId === settings.deviceId);
+            
+            this.cameraDeviceId = settings.deviceId || null;
+            this.cameraMirrored = Boolean(active && active.facing === 'user');
+            this.cameraPicker.update(cameras, this.cameraDeviceId);
+        } catch (error) {
+            console.warn('Could not list cameras:', error);
+        }
+        
+        document.querySelector('#ar-container').classList.toggle('mirrored', this.cameraMirrored);
+    }
+
+    cameraLabel(camera) {
+        if (camera.label) return camera.label;
+        if (camera.facing === 'user') return t('camera.front');
+        if (camera.facing === 'environment') return t('camera.back');
+        return t('camera.number', { number: camera.number });
     }
 
     setupCompositeCanvas() {
@@ -629,7 +1683,7 @@ class WebARApp {
             
             // Add video event listeners for better mobile handling (reduced for performance)
             const videoEvents = ['loadedmetadata', 'canplay', 'playing'];
-            if (!this.isMobile) {
+            if (!this.device.isMobile) {
                 // Add additional events only on desktop
                 videoEvents.push('loadeddata', 'canplaythrough');
             }
@@ -691,7 +1745,7 @@ class WebARApp {
         let targetHeight = viewportHeight * pixelRatio;
         
         // Mobile-specific size optimization
-        if (this.isMobile) {
+        if (this.device.isMobile) {
             // Limit canvas size on mobile for better performance
             const maxMobileWidth = 1280;
             const maxMobileHeight = 720;
@@ -737,8 +1791,9 @@ class WebARApp {
     render() {
         const currentTime = performance.now();
         
-        // Frame rate control for consistent performance
-        if (currentTime - this.lastFrameTime < this.frameInterval) {
+        // Frame rate control for consistent performance; a couple of ms of
+        // slack so timing jitter doesn't skip a whole display refresh
+        if (currentTime - this.lastFrameTime < this.frameInterval - 2) {
             requestAnimationFrame(() => this.render());
             return;
         }
@@ -749,69 +1804,21 @@ class WebARApp {
         // Performance monitoring (only log occasionally)
         this.updatePerformanceMonitor(currentTime);
         
-        requestAnimationFrame(() => this.render());
-        
-        // Skip rendering if app is not active (paused)
-        if (this.isAppActive === false) {
-            return;
-        }
-        
-        // Update tracking stabilization first
-        this.updateTrackingStabilization();
-        
-        if (this.mixer) {
-            this.mixer.update(deltaTime);
-        }
-        
-        // Update smooth and stable animations
-        if (this.model && this.initialModelY !== undefined) {
-            
-            // Handle visibility based on target detection
-            if (this.isTargetVisible) {
-                // Ensure model is fully visible when target is visible
-                this.model.traverse((child) => {
-                    if (child.isMesh && child.material) {
-                        child.material.transparent = false;
-                        child.material.opacity = 1.0;
-                        child.material.visible = true;
-                        child.visible = true;
-                    }
-                });
-                
-                // Smooth floating animation with easing (only when visible)
-                this.floatTime += deltaTime;
-                const floatSin = Math.sin(this.floatTime * this.floatSpeed);
-                const easedFloat = floatSin * floatSin * Math.sign(floatSin); // Cubic easing for smoother motion
-                const floatOffset = easedFloat * this.floatAmplitude;
-                this.model.position.y = this.initialModelY + floatOffset;
-                
-                // Minimal rotation animation with damping
-                this.rotationTime += deltaTime;
-                const rotationSin = Math.sin(this.rotationTime * this.rotationSpeed);
-                const dampedRotation = rotationSin * 0.05; // Reduced rotation amplitude
-                this.model.rotation.y = this.initialModelRotationY + dampedRotation;
-                
-                // Animate shadow with smoother transitions (only on desktop)
-                if (this.shadowPlane && !this.isMobile) {
-                    const normalizedFloat = (floatOffset / this.floatAmplitude); // -1 to 1
-                    const shadowOpacity = 0.25 - (normalizedFloat * 0.1); // More subtle shadow changes
-                    this.shadowPlane.material.opacity = Math.max(0.15, Math.min(0.35, shadowOpacity));
-                    
-                    // Slightly scale shadow based on height (perspective effect)
-                    const shadowScale = 1.0 - (normalizedFloat * 0.05);
-                    this.shadowPlane.scale.set(shadowScale, shadowScale, shadowScale);
-                }
-            } else {
-                // Hide model when target is lost
-                this.model.traverse((child) => {
-                    if (child.isMesh && child.material) {
-                        child.material.visible = false;
-                        child.visible = false;
-                    }
-                });
-            }
+        requestAnimationFrame(() => this.render());
+        
+        // Skip rendering if app is not active (paused)
+        if (this.isAppActive === false) {
+            return;
+        }
+        
+        for (const target of this.targets) {
+            this.updateTarget(target, deltaTime, currentTime);
         }
         
+        this.updateAnimationPanel();
+        this.narration.update();
+        this.debugHUD.update(currentTime, () => this.getDebugLines());
+        
         // Clear and render for proper media capture
         this.renderer.clear();
         this.renderer.render(this.scene, this.camera);
@@ -827,6 +1834,176 @@ class WebARApp {
         // Remove the additional canvas update during recording since we have a dedicated recording loop
     }
 
+    updateTarget(target, deltaTime, currentTime) {
+        // Work out what the loss policy shows this frame
+        const presence = target.loss.update(currentTime);
+        
+        // Update tracking stabilization first
+        this.updateTrackingStabilization(target, currentTime, presence);
+        this.applyTargetPresence(target, presence);
+        this.updateAssetRetention(target, presence.visible);
+        
+        if (target.spinner.visible) {
+            target.spinner.rotation.z -= deltaTime * 6;
+        }
+        
+        this.updateManipulator(target, deltaTime);
+        
+        if (target.animation) {
+            target.animation.update(deltaTime);
+        }
+        
+        // Hotspots disappear with the model and leave the accessible list
+        const showsHotspots = presence.visible && target.hotspots.markers.length > 0;
+        if (showsHotspots !== target.hotspotsShown) {
+            target.hotspotsShown = showsHotspots;
+            this.refreshHotspotList();
+        }
+        if (showsHotspots) {
+            target.hotspots.update();
+        }
+        
+        const { model } = target;
+        
+        // Update smooth and stable animations while the model is on screen
+        if (model && target.initialModelY !== undefined && presence.visible) {
+            // Smooth floating animation with easing (only when visible)
+            target.floatTime += deltaTime;
+            const floatSin = Math.sin(target.floatTime * target.floatSpeed);
+            const easedFloat = floatSin * floatSin * Math.sign(floatSin); // Cubic easing for smoother motion
+            const floatOffset = easedFloat * target.floatAmplitude;
+            model.position.y = target.initialModelY + floatOffset;
+            
+            // Minimal rotation animation with damping
+            target.rotationTime += deltaTime;
+            const rotationSin = Math.sin(target.rotationTime * target.rotationSpeed);
+            const dampedRotation = rotationSin * target.rotationAmplitude;
+            model.rotation.y = target.initialModelRotationY + dampedRotation;
+            
+            // Animate shadow with smoother transitions
+            if (target.shadowPlane) {
+                const normalizedFloat = target.floatAmplitude ? (floatOffset / target.floatAmplitude) : 0; // -1 to 1
+                const shadowOpacity = 0.25 - (normalizedFloat * 0.1); // More subtle shadow changes
+                target.shadowPlane.material.opacity = Math.max(0.15, Math.min(0.35, shadowOpacity)) * target.opacity;
+                
+                // Slightly scale shadow based on height (perspective effect)
+                const shadowScale = 1.0 - (normalizedFloat * 0.05);
+                target.shadowPlane.scale.set(shadowScale, shadowScale, shadowScale);
+            }
+        }
+    }
+
+    // Axes and the target outline on every anchor
+    setDebugHelpers(enabled) {
+        this.targets.forEach(target => {
+            if (enabled && !target.debugHelper) {
+                target.debugHelper = new AnchorHelper();
+                target.anchor.group.add(target.debugHelper.group);
+            } else if (!enabled && target.debugHelper) {
+                target.debugHelper.dispose();
+                target.debugHelper = null;
+            }
+        });
+    }
+
+    // Text for the diagnostics HUD
+    getDebugLines() {
+        const video = this.videoElement;
+        const canvas = this.renderer.domElement;
+        const recorder = this.mediaRecorder;
+        const mimeType = recorder ? recorder.mimeType : this.device.recording.mimeType;
+        
+        const lines = [
+            `FPS ${this.performanceMonitor.currentFPS} / ${this.targetFPS} (${this.governor.tier})`,
+            video
+                ? `Video ${video.videoWidth}x${video.videoHeight} readyState ${video.readyState}${video.paused ? ' paused' : ''}`
+                : 'Video -',
+            `Renderer ${canvas.width}x${canvas.height} @${this.renderer.getPixelRatio().toFixed(2)}`,
+            this.compositeCanvas
+                ? `Composite ${this.compositeCanvas.width}x${this.compositeCanvas.height}`
+                : 'Composite -',
+            `Recorder ${mimeType || 'unsupported'}${recorder ? ` (${recorder.state})` : ''}`,
+            `Device ${this.device.isIOS ? 'iOS' : (this.device.isMobile ? 'mobile' : 'desktop')}, ` +
+                `${this.device.memoryGB || '?'} GB, ${this.device.cores || '?'} cores, DPR ${this.device.pixelRatio}`
+        ];
+        
+        if (this.lastCapture) {
+            const { name, bytes, size, method } = this.lastCapture;
+            lines.push(`Capture ${name}${size ? ` ${size}` : ''}, ${bytes} bytes, ${method || 'not delivered'}`);
+        }
+        
+        if (this.recordedChunks.length > 0) {
+            const average = Math.round(this.recordedBytes / this.recordedChunks.length);
+            lines.push(`Chunks ${this.recordedChunks.length}, ${this.recordedBytes} bytes, ${average} avg`);
+        }
+        
+        // MindAR only knows the target sizes once it runs
+        const dimensions = this.mindarThree.controller ? this.mindarThree.controller.markerDimensions : null;
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        const euler = new THREE.Euler();
+        
+        this.targets.forEach(target => {
+            if (target.debugHelper && dimensions) {
+                target.debugHelper.setDimensions(dimensions[target.config.targetIndex]);
+            }
+            
+            const model = target.model ? 'model' : (target.modelPromise ? 'loading' : 'no model');
+            const state = target.isVisible ? 'tracked' : (target.content.visible ? 'lost, shown' : 'lost');
+            lines.push(`#${target.config.targetIndex} ${target.config.name}: ${state}, ${model}`);
+            
+            if (target.isVisible) {
+                target.anchor.group.matrix.decompose(position, quaternion, scale);
+                euler.setFromQuaternion(quaternion);
+                const degrees = [euler.x, euler.y, euler.z].map(angle => THREE.MathUtils.radToDeg(angle).toFixed(0));
+                lines.push(`  pos ${position.toArray().map(value => value.toFixed(1)).join(' ')}`);
+                lines.push(`  rot ${degrees.join(' ')} scale ${scale.x.toFixed(1)}`);
+            }
+        });
+        
+        return lines;
+    }
+
+    // Keeps the animation panel on the active target's clips
+    updateAnimationPanel() {
+        if (!this.animationPanel) return;
+        
+        const target = this.getActiveTarget();
+        const controller = target ? target.animation : null;
+        
+        if (controller !== this.animationPanel.controller) {
+            this.animationPanel.bind(controller);
+        } else if (this.animationPanel.isOpen()) {
+            this.animationPanel.sync();
+        }
+    }
+
+    // Eases the manipulator towards the gesture goal so pinches and resets stay smooth
+    updateManipulator(target, deltaTime) {
+        const { manipulator, gesture } = target;
+        const t = 1 - Math.exp(-deltaTime * 15);
+        
+        manipulator.scale.setScalar(THREE.MathUtils.lerp(manipulator.scale.x, gesture.scale, t));
+        manipulator.rotation.x = THREE.MathUtils.lerp(manipulator.rotation.x, gesture.pitch, t);
+        manipulator.rotation.y = THREE.MathUtils.lerp(manipulator.rotation.y, gesture.yaw, t);
+        manipulator.position.x = THREE.MathUtils.lerp(manipulator.position.x, gesture.offsetX, t);
+        manipulator.position.y = THREE.MathUtils.lerp(manipulator.position.y, gesture.offsetY, t);
+    }
+
+    // Keeps on-screen models out of the LRU eviction
+    updateAssetRetention(target, visible) {
+        const shouldRetain = visible && target.model !== null;
+        
+        if (shouldRetain && !target.retainsAsset) {
+            this.assets.retain(target.config.model);
+            target.retainsAsset = true;
+        } else if (!shouldRetain && target.retainsAsset) {
+            this.assets.release(target.config.model);
+            target.retainsAsset = false;
+        }
+    }
+
     updateCompositeCanvas() {
         if (!this.compositeCanvas || !this.compositeCtx) {
             return;
@@ -854,7 +2031,7 @@ class WebARApp {
                     this.compositeCtx.fillStyle = '#ffffff';
                     this.compositeCtx.font = '20px Arial';
                     this.compositeCtx.textAlign = 'center';
-                    this.compositeCtx.fillText('Camera Initializing...', this.compositeCanvas.width / 2, this.compositeCanvas.height / 2);
+                    this.compositeCtx.fillText(t('canvas.cameraInitializing'), this.compositeCanvas.width / 2, this.compositeCanvas.height / 2);
                     return;
                 }
             }
@@ -864,6 +2041,14 @@ class WebARApp {
                                this.videoElement.videoWidth > 0 && 
                                this.videoElement.videoHeight > 0;
             
+            // The front camera is mirrored on screen, and so on captures; the
+            // branding drawn afterwards stays readable
+            if (this.cameraMirrored) {
+                this.compositeCtx.save();
+                this.compositeCtx.translate(this.compositeCanvas.width, 0);
+                this.compositeCtx.scale(-1, 1);
+            }
+            
             // Draw video background
             if (isVideoReady) {
                 this.drawVideoWithAspectRatio();
@@ -874,7 +2059,7 @@ class WebARApp {
                 this.compositeCtx.fillStyle = '#ffffff';
                 this.compositeCtx.font = '20px Arial';
                 this.compositeCtx.textAlign = 'center';
-                this.compositeCtx.fillText('Video Loading...', this.compositeCanvas.width / 2, this.compositeCanvas.height / 2);
+                this.compositeCtx.fillText(t('canvas.videoLoading'), this.compositeCanvas.width / 2, this.compositeCanvas.height / 2);
             }
             
             // Draw 3D content on top with proper aspect ratio
@@ -917,11 +2102,40 @@ class WebARApp {
                 }
             }
             
+            if (this.cameraMirrored) {
+                this.compositeCtx.restore();
+            }
+            
+            this.drawCaptureOverlay(this.compositeCtx, this.compositeCanvas.width, this.compositeCanvas.height);
+            
         } catch (error) {
             console.error('Error in updateCompositeCanvas:', error);
         }
     }
 
+    // Branding of the active target's overlay template, or of the manifest
+    // default before any target was found
+    drawCaptureOverlay(ctx, width, height) {
+        if (!this.captureOverlay) return;
+        
+        this.captureTarget = this.getActiveTarget() || this.captureTarget;
+        const target = this.captureTarget;
+        const name = target ? target.config.overlay : (this.manifest.defaults || {}).overlay;
+        if (!name) return;
+        
+        const title = this.getCaptureTitle();
+        this.captureOverlay.draw(ctx, width, height, name, { title });
+    }
+
+    // Title of the exhibit being captured, the experience title before any
+    // target was found
+    getCaptureTitle() {
+        const target = this.captureTarget;
+        return target
+            ? i18n.pick(target.config.title) || target.config.name
+            : i18n.pick(this.manifest.title) || '';
+    }
+
     drawVideoWithAspectRatio() {
         const video = this.videoElement;
         const canvas = this.compositeCanvas;
@@ -972,240 +2186,276 @@ class WebARApp {
         }
     }
 
-    takeScreenshot() {
+    // A photo at the camera's full resolution with the 3D view rendered again
+    // to match. Before the camera delivers frames, the 3D view alone.
+    async takeScreenshot() {
+        let file = null;
         try {
-            // Force a render first to ensure 3D content is up to date
-            this.renderer.clear();
-            this.renderer.render(this.scene, this.camera);
-            
-            const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-            
-            // Enhanced screenshot logic with mobile-specific handling
-            if (this.compositeCanvas) {
-                // Force update composite canvas
-                this.updateCompositeCanvas();
-                
-                // Wait for next frame to ensure render is complete
-                requestAnimationFrame(() => {
-                    // Check if composite canvas has video content
-                    let hasVideoContent = false;
-                    
-                    if (isMobile) {
-                        // More lenient check for mobile
-                        hasVideoContent = this.videoElement && 
-                                        (this.videoElement.videoWidth > 0 || this.videoElement.readyState >= 1);
-                    } else {
-                        // Standard check for desktop
-                        hasVideoContent = this.videoElement && 
-                                        this.videoElement.videoWidth > 0 && 
-                                        this.videoElement.videoHeight > 0;
-                    }
-                    
-                    if (hasVideoContent) {
-                        this.captureFromCanvas(this.compositeCanvas, 'composite');
-                    } else {
-                        this.captureFromCanvas(this.renderer.domElement, 'renderer');
-                    }
+            const video = this.videoElement || document.querySelector('#ar-container video');
+            let canvas;
+            
+            if (video && video.videoWidth > 0 && video.videoHeight > 0) {
+                canvas = renderPhoto({
+                    renderer: this.renderer,
+                    scene: this.scene,
+                    camera: this.camera,
+                    video,
+                    container: document.querySelector('#ar-container'),
+                    maxPixels: this.photoSettings.maxPixels,
+                    mirrored: this.cameraMirrored
                 });
-            } else if (this.videoElement && this.videoElement.videoWidth > 0) {
-                this.captureFromVideo();
             } else {
-                this.captureFromCanvas(this.renderer.domElement, 'renderer');
+                canvas = document.createElement('canvas');
+                canvas.width = this.renderer.domElement.width;
+                canvas.height = this.renderer.domElement.height;
+                this.renderer.clear();
+                this.renderer.render(this.scene, this.camera);
+                canvas.getContext('2d').drawImage(this.renderer.domElement, 0, 0);
             }
             
+            this.drawCaptureOverlay(canvas.getContext('2d'), canvas.width, canvas.height);
+            
+            const { blob, extension } = await encodeCanvas(canvas, this.photoSettings);
+            file = new File([blob], `webAR-screenshot-${Date.now()}.${extension}`, { type: blob.type });
+            this.lastCapture = { name: file.name, bytes: file.size, size: `${canvas.width}x${canvas.height}`, method: null };
+            await this.saveScreenshot(file, canvas);
+            return file;
         } catch (error) {
             console.error('Screenshot failed:', error);
-            this.showStatus('Screenshot failed', true);
+            this.analytics.track('screenshot', { ok: false, mimeType: file ? file.type : null, error });
+            this.events.emit('error', { error, source: 'screenshot' });
+            this.showStatus(t('status.screenshotFailed'), true);
+            throw error;
         }
     }
 
-    captureFromCanvas(canvas, method) {
-        requestAnimationFrame(() => {
-            try {
-                // For mobile devices, ensure we're using the correct canvas dimensions
-                const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-                
-                // Create a temporary canvas for mobile to ensure proper dimensions
-                if (isMobile && canvas === this.compositeCanvas) {
-                    const tempCanvas = document.createElement('canvas');
-                    const tempCtx = tempCanvas.getContext('2d');
-                    
-                    // Use device pixel ratio for high-DPI displays
-                    const pixelRatio = window.devicePixelRatio || 1;
-                    const viewportWidth = window.innerWidth * pixelRatio;
-                    const viewportHeight = window.innerHeight * pixelRatio;
-                    
-                    tempCanvas.width = viewportWidth;
-                    tempCanvas.height = viewportHeight;
-                    
-                    // Draw the composite canvas to the temp canvas
-                    tempCtx.drawImage(canvas, 0, 0, viewportWidth, viewportHeight);
-                    
-                    const dataURL = tempCanvas.toDataURL('image/png', 1.0);
-                    
-                    if (dataURL.length < 1000) {
-                        throw new Error(`${method} canvas appears to be empty`);
-                    }
-                    
-                    this.downloadImage(dataURL);
-                    this.showStatus('Screenshot saved!');
-                } else {
-                    // Standard desktop capture
-                    const dataURL = canvas.toDataURL('image/png', 1.0);
-                    
-                    if (dataURL.length < 1000) {
-                        throw new Error(`${method} canvas appears to be empty`);
+    // Animated GIF ('gif') or boomerang ('boomerang') of the next few seconds
+    // on the capture canvas, saved and shared like the other captures
+    async captureLoop(mode) {
+        if (this.isRecording) return;
+        
+        this.loopPanel.setBusy(true);
+        this.showStatus(t('status.loopCapturing'));
+        
+        try {
+            if (!this.compositeCanvas || !this.compositeCtx) {
+                this.setupCompositeCanvas();
+            }
+            
+            let encoding = false;
+            const blob = await this.loopCapture.capture(() => {
+                this.updateCompositeCanvas();
+                return this.compositeCanvas;
+            }, {
+                mode,
+                onProgress: (phase) => {
+                    if (phase === 'encode' && !encoding) {
+                        encoding = true;
+                        this.showStatus(t('status.loopEncoding'));
                     }
-                    
-                    this.downloadImage(dataURL);
-                    this.showStatus('Screenshot saved!');
                 }
-            } catch (error) {
-                console.error(`${method} canvas capture failed:`, error);
-                this.showStatus(`Screenshot failed (${method})`, true);
-            }
-        });
+            });
+            
+            const file = new File([blob], `webAR-${mode}-${Date.now()}.gif`, { type: 'image/gif' });
+            this.storeCapture(file, 'image', this.compositeCanvas);
+            const result = (await this.deliverCapture(file)).throwIfFailed();
+            this.analytics.track('loop_capture', { ok: true, mode, bytes: blob.size, method: result.method });
+            this.emitCaptureSaved(mode, file, result);
+            this.showCaptureResult(result, t('status.loopSaved'));
+        } catch (error) {
+            console.error(`${mode} capture failed:`, error);
+            this.analytics.track('loop_capture', { ok: false, mode, error });
+            this.events.emit('error', { error, source: mode });
+            this.showStatus(t('status.loopFailed'), true);
+        } finally {
+            this.loopPanel.setBusy(false);
+        }
+    }
+
+    // kind: 'screenshot', 'gif', 'boomerang' or 'recording'; result is the
+    // ShareResult of handing the file to the visitor
+    emitCaptureSaved(kind, file, result) {
+        this.events.emit('captureSaved', { kind, file, method: result.method, cancelled: result.cancelled });
+    }
+
+    // Keeps a screenshot in the gallery and hands it to the share sheet, or
+    // saves it another way; source is the canvas it was taken from. Failures
+    // are reported by takeScreenshot().
+    async saveScreenshot(file, source) {
+        this.storeCapture(file, 'image', source);
+        const result = (await this.deliverCapture(file)).throwIfFailed();
+        this.analytics.track('screenshot', { ok: true, mimeType: file.type, method: result.method });
+        this.emitCaptureSaved('screenshot', file, result);
+        this.showCaptureResult(result, t('status.screenshotSaved'));
     }
 
-    captureFromVideo() {
+    // Adds a capture to the gallery. Runs alongside sharing, which has to
+    // start while the visitor's tap still counts as recent.
+    async storeCapture(file, kind, thumbnailSource) {
         try {
-            // Create a temporary canvas to capture video frame
-            const tempCanvas = document.createElement('canvas');
-            const tempCtx = tempCanvas.getContext('2d');
-            
-            // Use actual video dimensions or fallback to container size
-            const container = document.querySelector('#ar-container');
-            const containerRect = container.getBoundingClientRect();
-            const pixelRatio = window.devicePixelRatio || 1;
-            
-            // Use video's native dimensions for best quality
-            const videoWidth = this.videoElement.videoWidth;
-            const videoHeight = this.videoElement.videoHeight;
-            
-            if (videoWidth && videoHeight) {
-                // Use video's native resolution
-                tempCanvas.width = videoWidth;
-                tempCanvas.height = videoHeight;
-                
-                // Draw video at native resolution
-                tempCtx.drawImage(this.videoElement, 0, 0, videoWidth, videoHeight);
-            } else {
-                // Fallback to container size with aspect ratio preservation
-                const containerWidth = containerRect.width * pixelRatio;
-                const containerHeight = containerRect.height * pixelRatio;
-                
-                tempCanvas.width = containerWidth;
-                tempCanvas.height = containerHeight;
-                
-                // Fill with black background
-                tempCtx.fillStyle = '#000000';
-                tempCtx.fillRect(0, 0, containerWidth, containerHeight);
-                
-                // Draw video with cover behavior (same as CSS object-fit: cover)
-                const videoAspect = this.videoElement.videoWidth / this.videoElement.videoHeight;
-                const canvasAspect = containerWidth / containerHeight;
-                
-                let drawWidth, drawHeight, offsetX, offsetY;
-                
-                if (videoAspect > canvasAspect) {
-                    // Video is wider than canvas - fit to height and crop width
-                    drawHeight = containerHeight;
-                    drawWidth = containerHeight * videoAspect;
-                    offsetX = (containerWidth - drawWidth) / 2;
-                    offsetY = 0;
-                } else {
-                    // Video is taller than canvas - fit to width and crop height
-                    drawWidth = containerWidth;
-                    drawHeight = containerWidth / videoAspect;
-                    offsetX = 0;
-                    offsetY = (containerHeight - drawHeight) / 2;
-                }
-                
-                tempCtx.drawImage(this.videoElement, offsetX, offsetY, drawWidth, drawHeight);
-            }
-            
-            const dataURL = tempCanvas.toDataURL('image/png', 1.0);
+            await this.captureStore.open();
+            const thumbnail = await createThumbnail(thumbnailSource);
+            const target = this.captureTarget;
+            
+            await this.captureStore.add({
+                kind,
+                blob: file,
+                name: file.name,
+                thumbnail,
+                exhibit: target ? target.config.name : null,
+                exhibitTitle: this.getCaptureTitle()
+            });
             
-            if (dataURL.length < 1000) {
-                throw new Error('Video capture appears to be empty');
+            if (this.gallery.isOpen()) {
+                this.gallery.refresh();
             }
-            
-            this.downloadImage(dataURL);
-            this.showStatus('Screenshot saved!');
         } catch (error) {
-            console.error('Video capture failed:', error);
-            this.showStatus('Video capture failed', true);
+            console.error('Failed to keep capture in the gallery:', error);
+            this.showStatus(t('status.galleryNotSaved'), true);
+        }
+    }
+
+    async shareStoredCapture(record) {
+        const file = new File([record.blob], record.name, { type: record.type });
+        const result = await this.deliverCapture(file, { title: record.exhibitTitle });
+        this.showCaptureResult(result, record.kind === 'video' ? t('status.recordingSaved') : t('status.screenshotSaved'));
+    }
+
+    // Share sheet first; then a page in a new window on iOS, where download
+    // links are unreliable, or a download everywhere else
+    async deliverCapture(file, { title = this.getCaptureTitle() } = {}) {
+        const url = URL.createObjectURL(file);
+        const isVideo = file.type.startsWith('video/');
+        
+        const download = {
+            method: 'download',
+            run: () => downloadFile(url, file.name)
+        };
+        const newWindow = {
+            method: 'window',
+            run: () => (isVideo ? this.openRecordingWindow(url, file) : this.openImageWindow(url, file.name))
+        };
+        
+        const result = await shareFile(file, {
+            shareData: this.getShareData(title),
+            fallbacks: this.device.isIOS ? [newWindow, download] : [download]
+        });
+        if (!this.lastCapture || this.lastCapture.name !== file.name) {
+            this.lastCapture = { name: file.name, bytes: file.size, size: null };
+        }
+        this.lastCapture.method = result.cancelled ? `${result.method} (cancelled)` : result.method;
+        
+        // The new window page keeps using the URL
+        if (result.method !== 'window') {
+            setTimeout(() => URL.revokeObjectURL(url), 1000);
         }
+        return result;
     }
 
-    downloadImage(dataURL) {
-        const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-        const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+    // Title, text and link shared with a capture (capture.share in the
+    // manifest); {title} is the exhibit on screen
+    getShareData(title) {
+        const share = (this.manifest.capture && this.manifest.capture.share) || {};
+        const fill = text => (i18n.pick(text) || '').replace(/\{title\}/g, title);
         
-        if (isIOS) {
-            // iOS Safari has limitations with download links, use alternative approach
-            try {
-                // Create a new window/tab to display the image
-                const newWindow = window.open();
-                newWindow.document.write(`
-                    <html>
-                        <head>
-                            <title>Screenshot</title>
-                            <style>
-                                body { margin: 0; padding: 20px; background: #f0f0f0; }
-                                img { max-width: 100%; height: auto; border: 1px solid #ccc; }
-                                .download-btn { 
-                                    display: block; 
-                                    margin: 20px 0; 
-                                    padding: 10px 20px; 
-                                    background: #007AFF; 
-                                    color: white; 
-                                    text-decoration: none; 
-                                    border-radius: 5px; 
-                                    text-align: center; 
-                                }
-                            </style>
-                        </head>
-                        <body>
-                            <img src="${dataURL}" alt="Screenshot" />
-                            <a href="${dataURL}" download="webAR-screenshot-${Date.now()}.png" class="download-btn">
-                                Download Screenshot
-                            </a>
-                            <p>Tap and hold the image above to save it to your device.</p>
-                        </body>
-                    </html>
-                `);
-                newWindow.document.close();
-            } catch (error) {
-                console.error('Failed to open image in new window:', error);
-                // Fallback to standard download
-                this.standardDownload(dataURL);
-            }
+        return {
+            title: fill(share.title) || i18n.pick(this.manifest.title) || '',
+            text: fill(share.text),
+            url: share.url || `${window.location.origin}${window.location.pathname}`
+        };
+    }
+
+    showCaptureResult(result, savedMessage) {
+        if (result.cancelled) return;
+        
+        if (!result.ok) {
+            console.error('Capture could not be shared or saved:', result.error);
+            this.showStatus(t('status.captureNotSaved'), true);
+        } else if (result.method === 'share') {
+            this.showStatus(t('status.captureShared'));
         } else {
-            // Standard download for other devices
-            this.standardDownload(dataURL);
+            this.showStatus(savedMessage);
         }
     }
 
-    standardDownload(dataURL) {
-        const link = document.createElement('a');
-        link.download = `webAR-screenshot-${Date.now()}.png`;
-        link.href = dataURL;
-        document.body.appendChild(link);
-        link.click();
-        document.body.removeChild(link);
+    // Fallback for iOS, which ignores download links in some versions: the
+    // screenshot on a page of its own, to be saved with a long press
+    openImageWindow(url, filename) {
+        const newWindow = window.open();
+        if (!newWindow) {
+            return false; // Pop-up blocked
+        }
+        
+        newWindow.document.write(`
+            <html lang="${i18n.language}" dir="${i18n.getDirection()}">
+                <head>
+                    <title>${t('download.screenshotTitle')}</title>
+                    <style>
+                        body { margin: 0; padding: 20px; background: #f0f0f0; }
+                        img { max-width: 100%; height: auto; border: 1px solid #ccc; }
+                        .download-btn { 
+                            display: block; 
+                            margin: 20px 0; 
+                            padding: 10px 20px; 
+                            background: #007AFF; 
+                            color: white; 
+                            text-decoration: none; 
+                            border-radius: 5px; 
+                            text-align: center; 
+                        }
+                    </style>
+                </head>
+                <body>
+                    <img src="${url}" alt="${t('download.screenshotTitle')}" />
+                    <a href="${url}" download="${filename}" class="download-btn">
+                        ${t('download.downloadScreenshot')}
+                    </a>
+                    <p>${t('download.holdToSave')}</p>
+                </body>
+            </html>
+        `);
+        newWindow.document.close();
+        
+        return true;
     }
 
+    // Resolves with the recording's File once it is stopped and saved, or
+    // with null when the countdown was cancelled; rejects when it fails
     async startRecording() {
+        if (this.recordingPromise) return this.recordingPromise;
+        
+        const result = new Promise((resolve, reject) => {
+            this.recordingDeferred = { resolve, reject };
+        });
+        const done = () => {
+            if (this.recordingPromise === result) {
+                this.recordingPromise = null;
+            }
+        };
+        result.then(done, done);
+        this.recordingPromise = result;
+        
         try {
-            // Check if MediaRecorder is supported
-            if (!MediaRecorder) {
-                throw new Error('Recording not supported in this browser');
+            const { isIOS, isMobile, recording } = this.device;
+            
+            if (!recording.mediaRecorder) {
+                throw new Error(t('errors.recordingUnsupported'));
             }
+            if (!recording.captureStream) {
+                throw new Error(t('errors.streamUnsupported'));
+            }
+            
+            // pause() and stop() only see a recording once it counts down or
+            // runs; one they interrupt while it is set up is given up
+            const checkInterrupted = () => {
+                if (this.stopped || this.pausedByHost) {
+                    throw new Error(t('errors.recordingInterrupted'));
+                }
+            };
             
-            // Detect device type
-            const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
-            const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
+            // First, while the tap still counts as a user gesture for audio
+            const audioTrack = await this.startRecordingAudio();
+            checkInterrupted();
             
             // Ensure composite canvas is properly set up and updated
             if (!this.compositeCanvas || !this.compositeCtx) {
@@ -1213,6 +2463,7 @@ class WebARApp {
                 // Longer wait for iOS to ensure proper initialization
                 const waitTime = isIOS ? 2000 : 1000;
                 await new Promise(resolve => setTimeout(resolve, waitTime));
+                checkInterrupted();
             }
             
             // Force canvas update multiple times for iOS stability
@@ -1221,6 +2472,7 @@ class WebARApp {
                     this.updateCompositeCanvas();
                     await new Promise(resolve => requestAnimationFrame(resolve));
                 }
+                checkInterrupted();
             }
             
             // Optimize canvas for recording on mobile
@@ -1231,6 +2483,7 @@ class WebARApp {
             // Wait for video to be ready before recording (with mobile fallback)
             if (this.videoElement) {
                 await this.waitForVideoReady();
+                checkInterrupted();
             }
             
             // Force update composite canvas before recording
@@ -1241,71 +2494,17 @@ class WebARApp {
             for (let i = 0; i < frameWaits; i++) {
                 await new Promise(resolve => requestAnimationFrame(resolve));
             }
+            checkInterrupted();
             
             let canvasToRecord = this.compositeCanvas;
             
             // Always use composite canvas for recording
             if (!canvasToRecord || canvasToRecord.width === 0) {
-                throw new Error('Composite canvas not ready for recording');
+                throw new Error(t('errors.canvasNotReady'));
             }
             
-            if (!canvasToRecord.captureStream) {
-                throw new Error('Canvas stream capture not supported');
-            }
-            
-            // Enhanced MIME type detection with iOS-specific fallbacks
-            let mimeTypes;
-            if (isIOS) {
-                // iOS Safari specific MIME types - prioritize MP4 heavily
-                mimeTypes = [
-                    'video/mp4',
-                    'video/mp4;codecs=avc1.42E01E',
-                    'video/mp4;codecs=avc1',
-                    'video/webm;codecs=vp8',
-                    'video/webm'
-                ];
-            } else if (isMobile) {
-                // Other mobile devices
-                mimeTypes = [
-                    'video/mp4;codecs=h264',
-                    'video/mp4;codecs=avc1',
-                    'video/mp4',
-                    'video/webm;codecs=vp9',
-                    'video/webm;codecs=vp8',
-                    'video/webm'
-                ];
-            } else {
-                // Desktop MIME types
-                mimeTypes = [
-                    'video/mp4;codecs=h264',
-                    'video/mp4',
-                    'video/webm;codecs=vp9',
-                    'video/webm;codecs=vp8',
-                    'video/webm'
-                ];
-            }
-            
-            let selectedMimeType = null;
-            for (const mimeType of mimeTypes) {
-                if (MediaRecorder.isTypeSupported(mimeType)) {
-                    selectedMimeType = mimeType;
-                    break;
-                }
-            }
-            
-            // Fallback MIME type selection
-            if (!selectedMimeType) {
-                // Try basic types without codecs
-                const basicTypes = ['video/mp4', 'video/webm'];
-                for (const basicType of basicTypes) {
-                    if (MediaRecorder.isTypeSupported(basicType)) {
-                        selectedMimeType = basicType;
-                        break;
-                    }
-                }
-            }
-            
-            // Final fallback
+            // Best format this browser records, picked by the device profile
+            let selectedMimeType = audioTrack ? recording.audioMimeType : recording.mimeType;
             if (!selectedMimeType) {
                 selectedMimeType = 'video/webm';
                 console.warn('Using fallback MIME type - recording may not work on all devices');
@@ -1325,7 +2524,7 @@ class WebARApp {
             
             // Verify stream has video tracks
             if (!stream.getVideoTracks().length) {
-                throw new Error('No video tracks available');
+                throw new Error(t('errors.noVideoTracks'));
             }
             
             // Enhanced stream validation for iOS
@@ -1336,13 +2535,37 @@ class WebARApp {
                     stream.getTracks().forEach(track => track.stop());
                     const newStream = canvasToRecord.captureStream(frameRate);
                     if (!newStream.getVideoTracks().length) {
-                        throw new Error('Failed to create stable video stream');
+                        throw new Error(t('errors.streamFailed'));
                     }
                 }
             }
             
+            // Narration and microphone, mixed by RecordingAudio
+            if (audioTrack) {
+                stream.addTrack(audioTrack);
+            }
+            
+            // Optional 3-2-1 before the first frame is recorded; the stop
+            // button cancels it
+            document.getElementById('record-btn').classList.add('hidden');
+            document.getElementById('stop-record-btn').classList.remove('hidden');
+            if (!(await this.recordingCountdown.run(this.recordingLimits.countdown))) {
+                stream.getTracks().forEach(track => track.stop());
+                if (this.recordingAudio) {
+                    this.recordingAudio.stop();
+                }
+                if (isMobile && this.originalCanvasSize) {
+                    this.restoreCanvasSize();
+                }
+                this.resetRecordingUI();
+                this.showStatus(t('status.recordingCancelled'));
+                this.settleRecording(null);
+                return result;
+            }
+            
             // Clear any previous recording data
             this.recordedChunks = [];
+            this.recordedBytes = 0;
             
             // iOS-optimized MediaRecorder settings
             const recorderOptions = {
@@ -1359,6 +2582,9 @@ class WebARApp {
                 // Higher bitrate for desktop
                 recorderOptions.videoBitsPerSecond = 4000000; // 4 Mbps
             }
+            if (audioTrack) {
+                recorderOptions.audioBitsPerSecond = 128000;
+            }
             
             this.mediaRecorder = new MediaRecorder(stream, recorderOptions);
 
@@ -1366,7 +2592,14 @@ class WebARApp {
             this.mediaRecorder.ondataavailable = (event) => {
                 if (event.data && event.data.size > 0) {
                     this.recordedChunks.push(event.data);
+                    this.recordedBytes += event.data.size;
                     console.log(`Chunk received: ${event.data.size} bytes`);
+                    
+                    // Stop before the chunks eat up the phone's memory
+                    if (this.isRecording && this.recordedBytes >= this.recordingLimits.maxSizeMB * 1024 * 1024) {
+                        console.log(`Recording size limit reached: ${this.recordedBytes} bytes`);
+                        this.stopRecording(t('status.recordingSizeLimit'), 'sizeLimit');
+                    }
                 } else {
                     console.warn('Received empty data chunk');
                 }
@@ -1374,6 +2607,9 @@ class WebARApp {
 
             this.mediaRecorder.onstop = () => {
                 console.log(`Recording stopped. Total chunks: ${this.recordedChunks.length}`);
+                if (this.recordingAudio) {
+                    this.recordingAudio.stop();
+                }
                 // Add a small delay before saving on iOS
                 if (isIOS) {
                     setTimeout(() => this.saveRecording(), 500);
@@ -1384,7 +2620,9 @@ class WebARApp {
 
             this.mediaRecorder.onerror = (event) => {
                 console.error('MediaRecorder error:', event.error);
-                this.showStatus('Recording error occurred', true);
+                this.events.emit('error', { error: event.error, source: 'recording' });
+                this.settleRecording(null, event.error);
+                this.showStatus(t('status.recordingError'), true);
                 this.resetRecordingUI();
                 
                 // Cleanup on error
@@ -1400,6 +2638,9 @@ class WebARApp {
                 if (stream) {
                     stream.getTracks().forEach(track => track.stop());
                 }
+                if (this.recordingAudio) {
+                    this.recordingAudio.stop();
+                }
             };
 
             this.mediaRecorder.onstart = () => {
@@ -1418,6 +2659,12 @@ class WebARApp {
             
             this.mediaRecorder.start(timeslice);
             this.isRecording = true;
+            this.recordingStartTime = performance.now();
+            this.analytics.track('recording_start', {
+                ok: true,
+                mimeType: this.mediaRecorder.mimeType || selectedMimeType,
+                audio: Boolean(audioTrack)
+            });
             
             // Start recording-specific update loop for better frame capture
             this.startRecordingUpdateLoop();
@@ -1427,12 +2674,35 @@ class WebARApp {
             document.getElementById('stop-record-btn').classList.remove('hidden');
             document.getElementById('stop-record-btn').classList.add('recording');
             
-            this.showStatus('Recording started');
+            this.showStatus(t('status.recordingStarted'));
             
         } catch (error) {
             console.error('Recording failed to start:', error);
-            this.showStatus(`Recording failed: ${error.message}`, true);
+            this.analytics.track('recording_start', { ok: false, error });
+            this.events.emit('error', { error, source: 'recording' });
+            this.showStatus(t('status.recordingFailed', { reason: error.message }), true);
             this.resetRecordingUI();
+            if (this.recordingAudio) {
+                this.recordingAudio.stop();
+            }
+            if (this.device.isMobile && this.originalCanvasSize) {
+                this.restoreCanvasSize();
+            }
+            this.settleRecording(null, error);
+        }
+        return result;
+    }
+
+    // Settles the promise startRecording() and stopRecording() hand out
+    settleRecording(file, error = null) {
+        if (!this.recordingDeferred) return;
+        
+        const { resolve, reject } = this.recordingDeferred;
+        this.recordingDeferred = null;
+        if (error) {
+            reject(error);
+        } else {
+            resolve(file);
         }
     }
 
@@ -1484,9 +2754,12 @@ class WebARApp {
                 this.renderer.clear();
                 this.renderer.render(this.scene, this.camera);
                 this.updateCompositeCanvas();
+                this.updateRecordingProgress();
                 
                 // Use requestAnimationFrame for better timing and performance
-                requestAnimationFrame(recordingUpdateLoop);
+                if (this.isRecording) {
+                    requestAnimationFrame(recordingUpdateLoop);
+                }
             }
         };
         
@@ -1494,12 +2767,39 @@ class WebARApp {
         recordingUpdateLoop();
     }
 
-    stopRecording() {
+    // Fills the ring on the stop button and stops at the duration limit
+    updateRecordingProgress() {
+        const elapsed = (performance.now() - this.recordingStartTime) / 1000;
+        const { maxDuration } = this.recordingLimits;
+        this.recordingProgress.update(elapsed, maxDuration);
+        
+        if (elapsed >= maxDuration) {
+            console.log(`Recording duration limit reached: ${maxDuration}s`);
+            this.stopRecording(t('status.recordingDurationLimit', { duration: formatDuration(maxDuration) }), 'durationLimit');
+        }
+    }
+
+    // The 3-2-1 before a recording's first frame
+    isCountingDown() {
+        return Boolean(this.recordingCountdown) && this.recordingCountdown.isRunning();
+    }
+
+    // statusMessage replaces "Recording stopped", e.g. when a limit was
+    // reached; reason says why for analytics. Returns the same promise as
+    // startRecording().
+    stopRecording(statusMessage = null, reason = 'visitor') {
         console.log('Attempting to stop recording');
+        const recording = this.recordingPromise || Promise.resolve(null);
+        
+        // Stopping during the countdown cancels the recording
+        if (this.isCountingDown()) {
+            this.recordingCountdown.cancel();
+            return recording;
+        }
         
         if (this.mediaRecorder && this.isRecording) {
             try {
-                const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+                const { isIOS } = this.device;
                 
                 // iOS-specific stopping procedure
                 if (isIOS) {
@@ -1509,9 +2809,9 @@ class WebARApp {
                     if (this.recordedChunks.length === 0) {
                         console.warn('No chunks recorded yet, waiting briefly before stopping');
                         setTimeout(() => {
-                            this.stopRecording();
+                            this.stopRecording(statusMessage, reason);
                         }, 500);
-                        return;
+                        return recording;
                     }
                     
                     // Check MediaRecorder state
@@ -1539,28 +2839,32 @@ class WebARApp {
                 }
                 
                 this.isRecording = false;
+                this.analytics.track('recording_stop', {
+                    reason,
+                    durationMs: Math.round(performance.now() - this.recordingStartTime)
+                });
                 
                 // Restore original canvas size on mobile
-                if (this.isMobile && this.originalCanvasSize) {
+                if (this.device.isMobile && this.originalCanvasSize) {
                     this.restoreCanvasSize();
                 }
                 
                 this.resetRecordingUI();
-                this.showStatus('Recording stopped');
+                this.showStatus(statusMessage || t('status.recordingStopped'));
                 
                 // For iOS, add additional safety check
                 if (isIOS) {
                     setTimeout(() => {
                         if (this.recordedChunks.length === 0) {
                             console.error('No recording chunks available after stopping');
-                            this.showStatus('Recording may have failed - no data captured', true);
+                            this.showStatus(t('status.recordingNoData'), true);
                         }
                     }, 1000);
                 }
                 
             } catch (error) {
                 console.error('Error stopping recording:', error);
-                this.showStatus('Error stopping recording', true);
+                this.showStatus(t('status.stopRecordingFailed'), true);
                 this.resetRecordingUI();
                 
                 // Cleanup on error
@@ -1574,12 +2878,15 @@ class WebARApp {
                     } catch (saveError) {
                         console.error('Failed to save existing chunks:', saveError);
                     }
+                } else {
+                    this.settleRecording(null, error);
                 }
             }
         } else {
             console.warn('No active recording to stop');
             this.resetRecordingUI();
         }
+        return recording;
     }
 
     restoreCanvasSize() {
@@ -1603,14 +2910,17 @@ class WebARApp {
         document.getElementById('record-btn').classList.remove('hidden', 'recording');
         document.getElementById('stop-record-btn').classList.add('hidden', 'recording');
         this.isRecording = false;
+        if (this.recordingProgress) {
+            this.recordingProgress.reset();
+        }
     }
 
-    saveRecording() {
+    async saveRecording() {
         try {
             console.log(`Attempting to save recording with ${this.recordedChunks.length} chunks`);
             
             if (!this.recordedChunks.length) {
-                throw new Error('No recording data available');
+                throw new Error(t('errors.noRecordingData'));
             }
             
             // Check total size of all chunks with detailed logging
@@ -1619,13 +2929,10 @@ class WebARApp {
             console.log(`Chunk sizes: [${chunkSizes.join(', ')}], Total: ${totalSize} bytes`);
             
             if (totalSize === 0) {
-                throw new Error('Recording is empty (0 bytes)');
+                throw new Error(t('errors.recordingEmpty'));
             }
             
-            // Enhanced device detection
-            const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-            const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
-            const isSafari = /^((?!chrome|android).)*safari/i.test(navigator.userAgent);
+            const { isMobile, isIOS, isWebKit } = this.device;
             
             // Determine file extension and MIME type with enhanced iOS handling
             let fileExtension = 'mp4';
@@ -1636,7 +2943,7 @@ class WebARApp {
                 console.log(`MediaRecorder MIME type: ${recorderMimeType}`);
                 
                 if (recorderMimeType.includes('webm')) {
-                    if (isIOS || isSafari) {
+                    if (isIOS || isWebKit) {
                         // Always use MP4 for iOS/Safari for better compatibility
                         fileExtension = 'mp4';
                         blobMimeType = 'video/mp4';
@@ -1654,7 +2961,7 @@ class WebARApp {
                     blobMimeType = recorderMimeType;
                 } else {
                     // Unknown MIME type - use safe defaults
-                    if (isIOS || isSafari || isMobile) {
+                    if (isIOS || isWebKit || isMobile) {
                         fileExtension = 'mp4';
                         blobMimeType = 'video/mp4';
                     } else {
@@ -1662,7 +2969,7 @@ class WebARApp {
                         blobMimeType = 'video/webm';
                     }
                 }
-            } else if (isIOS || isSafari || isMobile) {
+            } else if (isIOS || isWebKit || isMobile) {
                 // No MIME type specified, use MP4 for mobile/iOS
                 fileExtension = 'mp4';
                 blobMimeType = 'video/mp4';
@@ -1683,227 +2990,153 @@ class WebARApp {
             }
             
             if (blob.size === 0) {
-                throw new Error('Recording blob is empty');
+                throw new Error(t('errors.recordingEmpty'));
             }
             
-            // Enhanced iOS handling with multiple fallback strategies
-            const url = URL.createObjectURL(blob);
-            console.log('Object URL created successfully');
-            
-            if (isIOS) {
-                this.handleIOSDownload(url, fileExtension, blobMimeType, blob);
-            } else {
-                // Standard download for other devices
-                this.standardDownloadRecording(url, fileExtension);
-            }
+            const file = new File([blob], `webAR-recording-${Date.now()}.${fileExtension}`, { type: blob.type || blobMimeType });
             
             // Clear chunks after successful processing
             this.recordedChunks = [];
             
-            this.showStatus('Recording saved!');
+            // The thumbnail is the frame on the capture canvas right now
+            this.storeCapture(file, 'video', this.compositeCanvas);
+            const result = (await this.deliverCapture(file)).throwIfFailed();
+            this.analytics.track('recording_saved', { ok: true, mimeType: file.type, bytes: file.size, method: result.method });
+            this.emitCaptureSaved('recording', file, result);
+            this.settleRecording(file);
+            this.showCaptureResult(result, result.method === 'window' ? t('status.recordingReady') : t('status.recordingSaved'));
         } catch (error) {
             console.error('Failed to save recording:', error);
-            this.showStatus(`Save failed: ${error.message}`, true);
+            this.analytics.track('recording_saved', { ok: false, mimeType: this.mediaRecorder ? this.mediaRecorder.mimeType : null, error });
+            this.events.emit('error', { error, source: 'recording' });
+            this.settleRecording(null, error);
+            this.showStatus(t('status.saveFailed', { reason: error.message }), true);
             
             // Clear chunks on error to prevent accumulation
             this.recordedChunks = [];
         }
     }
 
-    handleIOSDownload(url, fileExtension, mimeType, blob) {
-        console.log('Handling iOS download');
-        
-        // Strategy 1: Try direct download first (works in some iOS versions)
-        const tryDirectDownload = () => {
-            try {
-                const link = document.createElement('a');
-                link.download = `webAR-recording-${Date.now()}.${fileExtension}`;
-                link.href = url;
-                link.style.display = 'none';
-                
-                // Add click handlers for iOS
-                link.onclick = (e) => {
-                    console.log('Download link clicked');
-                };
-                
-                document.body.appendChild(link);
-                
-                // Force click with iOS-specific timing
-                setTimeout(() => {
-                    link.click();
-                    console.log('Direct download attempted');
-                    
-                    // Cleanup
-                    setTimeout(() => {
-                        if (document.body.contains(link)) {
-                            document.body.removeChild(link);
-                        }
-                    }, 1000);
-                }, 100);
-                
-                return true;
-            } catch (error) {
-                console.error('Direct download failed:', error);
-                return false;
-            }
-        };
-        
-        // Strategy 2: Open in new window with multiple options
-        const tryNewWindowDownload = () => {
-            try {
-                const newWindow = window.open();
-                if (!newWindow) {
-                    console.error('Failed to open new window (popup blocked?)');
-                    return false;
-                }
-                
-                newWindow.document.write(`
-                    <!DOCTYPE html>
-                    <html>
-                        <head>
-                            <title>AR Recording</title>
-                            <meta name="viewport" content="width=device-width, initial-scale=1.0">
-                            <style>
-                                body { 
-                                    margin: 0; 
-                                    padding: 20px; 
-                                    background: #f8f9fa; 
-                                    font-family: -apple-system, BlinkMacSystemFont, sans-serif;
-                                }
-                                .container {
-                                    max-width: 600px;
-                                    margin: 0 auto;
-                                    text-align: center;
-                                }
-                                video { 
-                                    max-width: 100%; 
-                                    height: auto; 
-                                    border: 1px solid #ddd; 
-                                    border-radius: 8px;
-                                    margin: 20px 0;
-                                }
-                                .download-btn { 
-                                    display: inline-block; 
-                                    margin: 15px; 
-                                    padding: 12px 24px; 
-                                    background: #007AFF; 
-                                    color: white; 
-                                    text-decoration: none; 
-                                    border-radius: 8px; 
-                                    font-size: 16px;
-                                    transition: background 0.2s;
-                                }
-                                .download-btn:hover {
-                                    background: #0051D5;
-                                }
-                                .download-btn:active {
-                                    background: #004494;
-                                }
-                                .instructions {
-                                    background: #e3f2fd;
-                                    padding: 15px;
-                                    border-radius: 8px;
-                                    margin: 20px 0;
-                                    font-size: 14px;
-                                    line-height: 1.5;
-                                }
-                                .close-btn {
-                                    background: #6c757d;
-                                    margin-top: 20px;
-                                }
-                            </style>
-                        </head>
-                        <body>
-                            <div class="container">
-                                <h2>AR Recording</h2>
-                                <video controls playsinline>
-                                    <source src="${url}" type="${mimeType}">
-                                    Your browser does not support the video tag.
-                                </video>
-                                
-                                <div>
-                                    <a href="${url}" download="webAR-recording-${Date.now()}.${fileExtension}" class="download-btn">
-                                        📥 Download Recording
-                                    </a>
-                                </div>
-                                
-                                <div class="instructions">
-                                    <strong>To save on iOS:</strong><br>
-                                    1. Tap "Download Recording" button above<br>
-                                    2. Or tap and hold the video, then select "Save to Photos"<br>
-                                    3. Or use the share button in Safari to save to Files
-                                </div>
-                                
-                                <button onclick="window.close()" class="download-btn close-btn">
-                                    Close Window
-                                </button>
-                            </div>
-                            
-                            <script>
-                                // Auto-attempt download after a short delay
-                                setTimeout(() => {
-                                    const downloadLink = document.querySelector('a[download]');
-                                    if (downloadLink) {
-                                        console.log('Auto-triggering download');
-                                        downloadLink.click();
-                                    }
-                                }, 1000);
-                                
-                                // Handle video load errors
-                                const video = document.querySelector('video');
-                                video.onerror = () => {
-                                    console.error('Video failed to load');
-                                    video.style.display = 'none';
-                                    const container = document.querySelector('.container');
-                                    container.innerHTML += '<p style="color: red;">Video playback failed. Please try the download button.</p>';
-                                };
-                                
-                                video.onloadeddata = () => {
-                                    console.log('Video loaded successfully');
-                                };
-                            </script>
-                        </body>
-                    </html>
-                `);
-                newWindow.document.close();
-                
-                return true;
-            } catch (error) {
-                console.error('New window download failed:', error);
-                return false;
-            }
-        };
-        
-        // Try strategies in order
-        const directDownloadSuccess = tryDirectDownload();
-        
-        // Always show the new window for iOS as backup
-        setTimeout(() => {
-            tryNewWindowDownload();
-        }, 500);
-        
-        if (!directDownloadSuccess) {
-            console.log('Direct download may have failed, showing instructions');
-            this.showStatus('Recording ready - check for download or new window', false);
+    // Fallback for iOS: the recording on a page of its own with a download
+    // link and instructions for saving it to Photos
+    openRecordingWindow(url, file) {
+        const newWindow = window.open();
+        if (!newWindow) {
+            console.error('Failed to open new window (popup blocked?)');
+            return false;
         }
-    }
-
-    standardDownloadRecording(url, fileExtension) {
-        // Create download link
-        const link = document.createElement('a');
-        link.download = `webAR-recording-${Date.now()}.${fileExtension}`;
-        link.href = url;
-        link.style.display = 'none';
-        document.body.appendChild(link);
-        
-        // Trigger download
-        link.click();
         
-        // Clean up
-        setTimeout(() => {
-            document.body.removeChild(link);
-            URL.revokeObjectURL(url);
-        }, 1000);
+        newWindow.document.write(`
+            <!DOCTYPE html>
+            <html lang="${i18n.language}" dir="${i18n.getDirection()}">
+                <head>
+                    <title>${t('download.recordingTitle')}</title>
+                    <meta name="viewport" content="width=device-width, initial-scale=1.0">
+                    <style>
+                        body { 
+                            margin: 0; 
+                            padding: 20px; 
+                            background: #f8f9fa; 
+                            font-family: -apple-system, BlinkMacSystemFont, sans-serif;
+                        }
+                        .container {
+                            max-width: 600px;
+                            margin: 0 auto;
+                            text-align: center;
+                        }
+                        video { 
+                            max-width: 100%; 
+                            height: auto; 
+                            border: 1px solid #ddd; 
+                            border-radius: 8px;
+                            margin: 20px 0;
+                        }
+                        .download-btn { 
+                            display: inline-block; 
+                            margin: 15px; 
+                            padding: 12px 24px; 
+                            background: #007AFF; 
+                            color: white; 
+                            text-decoration: none; 
+                            border-radius: 8px; 
+                            font-size: 16px;
+                            transition: background 0.2s;
+                        }
+                        .download-btn:hover {
+                            background: #0051D5;
+                        }
+                        .download-btn:active {
+                            background: #004494;
+                        }
+                        .instructions {
+                            background: #e3f2fd;
+                            padding: 15px;
+                            border-radius: 8px;
+                            margin: 20px 0;
+                            font-size: 14px;
+                            line-height: 1.5;
+                        }
+                        .close-btn {
+                            background: #6c757d;
+                            margin-top: 20px;
+                        }
+                    </style>
+                </head>
+                <body>
+                    <div class="container">
+                        <h2>${t('download.recordingTitle')}</h2>
+                        <video controls playsinline>
+                            <source src="${url}" type="${file.type}">
+                            ${t('download.noVideoSupport')}
+                        </video>
+                        
+                        <div>
+                            <a href="${url}" download="${file.name}" class="download-btn">
+                                📥 ${t('download.downloadRecording')}
+                            </a>
+                        </div>
+                        
+                        <div class="instructions">
+                            <strong>${t('download.iosSaveTitle')}</strong><br>
+                            1. ${t('download.iosStepDownload')}<br>
+                            2. ${t('download.iosStepHold')}<br>
+                            3. ${t('download.iosStepShare')}
+                        </div>
+                        
+                        <button onclick="window.close()" class="download-btn close-btn">
+                            ${t('download.close')}
+                        </button>
+                    </div>
+                    
+                    <script>
+                        // Auto-attempt download after a short delay
+                        setTimeout(() => {
+                            const downloadLink = document.querySelector('a[download]');
+                            if (downloadLink) {
+                                console.log('Auto-triggering download');
+                                downloadLink.click();
+                            }
+                        }, 1000);
+                        
+                        // Handle video load errors
+                        const video = document.querySelector('video');
+                        video.onerror = () => {
+                            console.error('Video failed to load');
+                            video.style.display = 'none';
+                            const container = document.querySelector('.container');
+                            container.innerHTML += ${JSON.stringify(`<p style="color: red;">${t('download.playbackFailed')}</p>`)};
+                        };
+                        
+                        video.onloadeddata = () => {
+                            console.log('Video loaded successfully');
+                        };
+                    </script>
+                </body>
+            </html>
+        `);
+        newWindow.document.close();
+        
+        return true;
     }
 
     async waitForVideoReady() {
@@ -1914,8 +3147,7 @@ class WebARApp {
                 return;
             }
             
-            const isMobile = /Android|webOS|iPhone|iPad|iPod|BlackBerry|IEMobile|Opera Mini/i.test(navigator.userAgent);
-            const isIOS = /iPad|iPhone|iPod/.test(navigator.userAgent);
+            const { isMobile, isIOS } = this.device;
             
             let attempts = 0;
             let maxAttempts;
@@ -1997,7 +3229,9 @@ class WebARApp {
     }
 }
 
-// Initialize the WebAR application when the page loads
-document.addEventListener('DOMContentLoaded', () => {
-    new WebARApp();
-}); 
\ No newline at end of file
+// Clamps value to [min, max], where a null bound means unlimited
+function clampOptional(value, min, max) {
+    if (min !== null && value < min) return min;
+    if (max !== null && value > max) return max;
+    return value;
+}
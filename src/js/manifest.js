@@ -0,0 +1,174 @@
+// Loads the experience manifest (src/config/experience.json) and checks it
+// against its JSON schema before the app uses any of it.
+export const DEFAULT_MANIFEST_URL = './src/config/experience.json';
+const SCHEMA_URL = './src/config/experience.schema.json';
+
+export class ManifestError extends Error {
+    constructor(message, details = []) {
+        super(message);
+        this.name = 'ManifestError';
+        this.details = details; // Human-readable list of validation problems
+    }
+}
+
+export async function loadManifest(url = DEFAULT_MANIFEST_URL) {
+    const [manifest, schema] = await Promise.all([
+        fetchJSON(url, 'experience manifest'),
+        fetchJSON(SCHEMA_URL, 'manifest schema')
+    ]);
+
+    const errors = validateManifest(manifest, schema);
+    if (errors.length > 0) {
+        throw new ManifestError(`Experience manifest ${url} is invalid`, errors);
+    }
+
+    return manifest;
+}
+
+async function fetchJSON(url, label) {
+    let response;
+    try {
+        response = await fetch(url, { cache: 'no-cache' });
+    } catch (error) {
+        throw new ManifestError(`Could not load ${label}`, [`${url}: ${error.message}`]);
+    }
+
+    if (!response.ok) {
+        throw new ManifestError(`Could not load ${label}`, [`${url}: HTTP ${response.status}`]);
+    }
+
+    try {
+        return await response.json();
+    } catch (error) {
+        throw new ManifestError(`The ${label} is not valid JSON`, [`${url}: ${error.message}`]);
+    }
+}
+
+// Returns a list of "path: problem" strings, empty when the manifest is valid
+export function validateManifest(manifest, schema) {
+    const errors = [];
+    validateValue(manifest, schema, schema, '', errors);
+
+    // Constraints JSON schema can't express
+    if (errors.length === 0) {
+        const seen = new Set();
+        manifest.targets.forEach((target, i) => {
+            if (seen.has(target.targetIndex)) {
+                errors.push(`/targets/${i}/targetIndex: index ${target.targetIndex} is used by more than one target`);
+            }
+            seen.add(target.targetIndex);
+        });
+
+        const overlays = (manifest.capture && manifest.capture.overlays) || {};
+        const overlayUsers = [['/defaults', manifest.defaults || {}]]
+            .concat(manifest.targets.map((target, i) => [`/targets/${i}`, target]));
+        overlayUsers.forEach(([path, entry]) => {
+            if (typeof entry.overlay === 'string' && !Object.prototype.hasOwnProperty.call(overlays, entry.overlay)) {
+                errors.push(`${path}/overlay: no capture overlay named "${entry.overlay}"`);
+            }
+        });
+    }
+
+    return errors;
+}
+
+// Minimal JSON schema (draft-07) validator covering the keywords used by
+// experience.schema.json
+function validateValue(value, schema, root, path, errors) {
+    if (schema.$ref) {
+        schema = resolveRef(schema.$ref, root);
+    }
+
+    const where = path || '/';
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            errors.push(`${where}: must be ${types.join(' or ')}`);
+            return;
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${where}: must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${where}: must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${where}: must be <= ${schema.maximum}`);
+        }
+        if (schema.exclusiveMinimum !== undefined && value <= schema.exclusiveMinimum) {
+            errors.push(`${where}: must be > ${schema.exclusiveMinimum}`);
+        }
+    }
+
+    if (typeof value === 'string') {
+        if (schema.minLength !== undefined && value.length < schema.minLength) {
+            errors.push(`${where}: must not be empty`);
+        }
+        if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+            errors.push(`${where}: "${value}" does not match ${schema.pattern}`);
+        }
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${where}: must have at least ${schema.minItems} item(s)`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${where}: must have at most ${schema.maxItems} item(s)`);
+        }
+        if (schema.items) {
+            value.forEach((item, i) => validateValue(item, schema.items, root, `${path}/${i}`, errors));
+        }
+    } else if (value !== null && typeof value === 'object') {
+        const properties = schema.properties || {};
+
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${where}: missing required property "${key}"`);
+            }
+        });
+
+        Object.keys(value).forEach(key => {
+            if (schema.propertyNames) {
+                validateValue(key, schema.propertyNames, root, `${path}/${key}`, errors);
+            }
+
+            if (properties[key]) {
+                validateValue(value[key], properties[key], root, `${path}/${key}`, errors);
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${where}: unknown property "${key}"`);
+            } else if (typeof schema.additionalProperties === 'object') {
+                validateValue(value[key], schema.additionalProperties, root, `${path}/${key}`, errors);
+            }
+        });
+    }
+}
+
+function matchesType(value, type) {
+    switch (type) {
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+function resolveRef(ref, root) {
+    if (!ref.startsWith('#/')) {
+        throw new ManifestError(`Unsupported schema reference ${ref}`);
+    }
+    return ref.slice(2).split('/').reduce((node, key) => node[key], root);
+}
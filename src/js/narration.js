@@ -0,0 +1,211 @@
+// Spoken narration per target with WebVTT captions.
+//
+// All narrations share one <audio> element. Browsers only let scripts start
+// audio after a user gesture (iOS per element), so the first tap or key press
+// anywhere unlocks the element - playing a narration that is already waiting,
+// or a silent clip. From then on onTargetFound() can start narrations itself.
+// Each target remembers where its narration was paused and resumes there.
+import { parseWebVTT, getCaptionAt } from './webvtt.js';
+import { i18n, t } from './i18n.js';
+
+// 2-sample silent WAV used to unlock the element when no narration is waiting
+const SILENCE = 'data:audio/wav;base64,UklGRigAAABXQVZFZm10IBAAAAABAAEAQB8AAIA+AAACABAAZGF0YQQAAAAAAAAA';
+
+const UNLOCK_EVENTS = ['click', 'touchend', 'keydown'];
+
+export class NarrationPlayer {
+    constructor({ overlay, controls }) {
+        this.overlay = overlay;
+        this.controls = controls;
+        this.audio = new Audio();
+        this.audio.preload = 'auto';
+        this.unlocked = false;
+        this.current = null; // { key, narration } of the target being narrated
+        this.positions = new Map(); // key -> seconds already heard
+        this.cueCache = new Map(); // captions URL -> Promise of cues
+        this.cues = [];
+        this.captionsVisible = true;
+        this.suspended = false;
+        this.shownCaption = null;
+
+        this.handleUnlock = this.handleUnlock.bind(this);
+        UNLOCK_EVENTS.forEach(type => document.addEventListener(type, this.handleUnlock, true));
+
+        this.audio.addEventListener('ended', () => {
+            if (this.current) {
+                this.positions.delete(this.current.key);
+            }
+        });
+
+        this.muteButton = controls.querySelector('.narration-mute');
+        this.captionsButton = controls.querySelector('.narration-captions');
+
+        this.muteButton.addEventListener('click', () => this.setMuted(!this.audio.muted));
+        controls.querySelector('.narration-replay').addEventListener('click', () => this.replay());
+        this.captionsButton.addEventListener('click', () => this.setCaptionsVisible(!this.captionsVisible));
+    }
+
+    // Starts (or resumes) the narration of a found target
+    start(key, narration) {
+        if (this.current) {
+            if (this.current.key === key) return;
+            this.stop(this.current.key);
+        }
+
+        // Audio and captions may be given per language
+        const audio = i18n.pick(narration.audio);
+        const sameSource = this.audio.dataset.key === key && this.audio.dataset.src === audio;
+        this.current = { key, narration };
+        this.suspended = false;
+        this.controls.classList.remove('hidden');
+        this.loadCaptions(i18n.pick(narration.captions));
+
+        if (!sameSource) {
+            this.audio.dataset.key = key;
+            this.audio.dataset.src = audio;
+            this.audio.src = audio;
+        }
+        this.seekWhenReady(this.positions.get(key) || 0);
+
+        if (this.unlocked) {
+            this.playCurrent();
+        }
+    }
+
+    // Pauses a lost target's narration, keeping its position
+    stop(key) {
+        if (!this.current || this.current.key !== key) return;
+
+        if (!this.audio.ended) {
+            this.positions.set(key, this.audio.currentTime);
+        }
+        this.audio.pause();
+        this.current = null;
+        this.suspended = false;
+        this.controls.classList.add('hidden');
+        this.showCaption('');
+    }
+
+    replay() {
+        if (!this.current) return;
+
+        this.audio.currentTime = 0;
+        this.playCurrent();
+    }
+
+    setMuted(muted) {
+        this.audio.muted = muted;
+        this.muteButton.setAttribute('aria-pressed', String(muted));
+        this.muteButton.classList.toggle('active', muted);
+    }
+
+    setCaptionsVisible(visible) {
+        this.captionsVisible = visible;
+        this.captionsButton.setAttribute('aria-pressed', String(visible));
+        this.captionsButton.classList.toggle('active', visible);
+    }
+
+    // Pause / resume around the page being hidden
+    suspend() {
+        if (this.current && !this.audio.paused) {
+            this.audio.pause();
+            this.suspended = true;
+        }
+    }
+
+    resume() {
+        if (this.suspended && this.current) {
+            this.suspended = false;
+            this.playCurrent();
+        }
+    }
+
+    // Shows the caption for the current playback position, or asks for the
+    // unlocking tap; called every frame
+    update() {
+        if (!this.current) return;
+
+        if (!this.unlocked) {
+            this.showCaption(t('narration.tapToListen'));
+            return;
+        }
+
+        const caption = this.captionsVisible ? getCaptionAt(this.cues, this.audio.currentTime) : '';
+        this.showCaption(caption);
+    }
+
+    handleUnlock() {
+        UNLOCK_EVENTS.forEach(type => document.removeEventListener(type, this.handleUnlock, true));
+        this.unlocked = true;
+
+        if (this.current) {
+            this.showCaption('');
+            this.playCurrent();
+            return;
+        }
+
+        this.audio.src = SILENCE;
+        delete this.audio.dataset.key;
+        delete this.audio.dataset.src;
+        this.audio.play()
+            .then(() => this.audio.pause())
+            .catch(() => {});
+    }
+
+    playCurrent() {
+        // A finished narration starts over when its target is found again
+        if (this.audio.ended) {
+            this.audio.currentTime = 0;
+        }
+
+        this.audio.play().catch(error => {
+            console.warn('Narration playback failed:', error);
+        });
+    }
+
+    seekWhenReady(time) {
+        if (this.audio.readyState >= HTMLMediaElement.HAVE_METADATA) {
+            this.audio.currentTime = time;
+        } else {
+            this.audio.addEventListener('loadedmetadata', () => {
+                this.audio.currentTime = time;
+            }, { once: true });
+        }
+    }
+
+    loadCaptions(url) {
+        this.cues = [];
+        if (!url) return;
+
+        if (!this.cueCache.has(url)) {
+            this.cueCache.set(url, fetch(url)
+                .then(response => {
+                    if (!response.ok) {
+                        throw new Error(`HTTP ${response.status}`);
+                    }
+                    return response.text();
+                })
+                .then(parseWebVTT)
+                .catch(error => {
+                    console.error(`Failed to load captions ${url}:`, error);
+                    this.cueCache.delete(url);
+                    return [];
+                }));
+        }
+
+        const key = this.current.key;
+        this.cueCache.get(url).then(cues => {
+            if (this.current && this.current.key === key) {
+                this.cues = cues;
+            }
+        });
+    }
+
+    showCaption(text) {
+        if (text === this.shownCaption) return;
+
+        this.shownCaption = text;
+        this.overlay.textContent = text;
+        this.overlay.classList.toggle('hidden', text === '');
+    }
+}
@@ -0,0 +1,97 @@
+// Full-resolution photos.
+//
+// The capture canvas is sized for the screen (and capped on phones), but the
+// camera usually delivers more. A photo instead takes the whole camera frame
+// at videoWidth x videoHeight and renders the 3D scene again at that size,
+// with a camera that sees the whole frame rather than the part the screen
+// crops out, so the models stay where they are on the picture.
+import * as THREE from 'three';
+
+export const PHOTO_FORMATS = {
+    jpeg: { type: 'image/jpeg', extension: 'jpg' },
+    png: { type: 'image/png', extension: 'png' },
+    webp: { type: 'image/webp', extension: 'webp' }
+};
+
+export const PHOTO_DEFAULTS = {
+    format: 'jpeg',
+    quality: 0.92, // JPEG and WebP only
+    maxPixels: 12000000 // iOS refuses canvases much above 16 megapixels
+};
+
+// Renders the photo onto a new canvas. container is the element the AR view
+// fills (with object-fit: cover); camera is the perspective camera for it.
+// mirrored flips the picture like the front camera view on screen.
+export function renderPhoto({ renderer, scene, camera, video, container, maxPixels = PHOTO_DEFAULTS.maxPixels, mirrored = false }) {
+    let width = video.videoWidth;
+    let height = video.videoHeight;
+    if (!width || !height) {
+        throw new Error('Camera frame not available');
+    }
+
+    const limit = Math.min(Math.sqrt(maxPixels / (width * height)), maxRenderSize(renderer) / Math.max(width, height), 1);
+    width = Math.floor(width * limit);
+    height = Math.floor(height * limit);
+
+    const canvas = document.createElement('canvas');
+    canvas.width = width;
+    canvas.height = height;
+    const ctx = canvas.getContext('2d');
+    if (mirrored) {
+        ctx.setTransform(-1, 0, 0, 1, width, 0);
+    }
+    ctx.drawImage(video, 0, 0, width, height);
+
+    // The screen shows a crop of the frame; widen the field of view by the
+    // part that was cropped away vertically
+    const videoAspect = width / height;
+    const containerAspect = container.clientWidth / container.clientHeight;
+    const crop = Math.max(1, containerAspect / videoAspect);
+
+    const photoCamera = camera.clone();
+    photoCamera.fov = 2 * Math.atan(Math.tan(camera.fov * Math.PI / 360) * crop) * 180 / Math.PI;
+    photoCamera.aspect = videoAspect;
+    photoCamera.updateProjectionMatrix();
+
+    // Borrow the renderer at photo size; the screen only sees the next frame
+    const pixelRatio = renderer.getPixelRatio();
+    const size = renderer.getSize(new THREE.Vector2());
+    try {
+        renderer.setPixelRatio(1);
+        renderer.setSize(width, height, false);
+        renderer.clear();
+        renderer.render(scene, photoCamera);
+        ctx.drawImage(renderer.domElement, 0, 0, width, height);
+    } finally {
+        renderer.setPixelRatio(pixelRatio);
+        renderer.setSize(size.x, size.y, false);
+        renderer.clear();
+        renderer.render(scene, camera);
+    }
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+
+    return canvas;
+}
+
+// Resolves with { blob, extension }. Browsers without WebP encoding hand
+// back a PNG, so the extension follows the type actually produced.
+export function encodeCanvas(canvas, { format = PHOTO_DEFAULTS.format, quality = PHOTO_DEFAULTS.quality } = {}) {
+    const { type } = PHOTO_FORMATS[format] || PHOTO_FORMATS[PHOTO_DEFAULTS.format];
+
+    return new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+            if (!blob || blob.size === 0) {
+                reject(new Error('Canvas produced no image'));
+                return;
+            }
+            const produced = Object.values(PHOTO_FORMATS).find(entry => entry.type === blob.type);
+            resolve({ blob, extension: produced ? produced.extension : 'png' });
+        }, type, quality);
+    });
+}
+
+function maxRenderSize(renderer) {
+    const gl = renderer.getContext();
+    const [maxWidth, maxHeight] = gl.getParameter(gl.MAX_VIEWPORT_DIMS);
+    return Math.min(maxWidth, maxHeight, renderer.capabilities.maxTextureSize);
+}
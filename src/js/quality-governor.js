@@ -0,0 +1,111 @@
+// Steps the quality tier up or down from the measured frame rate.
+//
+// The device profile only guesses a starting tier. The governor gets one
+// frames-per-second sample a second and compares it with what the current
+// tier aims for: a few slow seconds in a row drop a tier, a long run at full
+// speed tries the next one up. A tier that had to be dropped again soon after
+// an upgrade is tried less and less often, so a device sitting between two
+// tiers settles instead of flipping back and forth.
+import { QUALITY_TIERS, QUALITY_SETTINGS } from './device-profile.js';
+
+const DEFAULTS = {
+    downRatio: 0.75, // Below this share of the tier's target fps counts as slow
+    upRatio: 0.95, // At or above this share counts as keeping up
+    downSeconds: 3, // Slow seconds in a row before stepping down
+    upSeconds: 10, // Fast seconds in a row before trying a step up
+    warmupSeconds: 3, // Samples ignored after start / resume (camera start-up, shader compiles)
+    failSeconds: 30, // A step down this soon after a step up means the upgrade failed
+    maxBackoff: 8 // Upper limit of the upSeconds multiplier after failed upgrades
+};
+
+export class QualityGovernor {
+    constructor({ tier, pinned = false, onChange = () => {}, ...options } = {}) {
+        this.options = { ...DEFAULTS, ...options };
+        this.index = QUALITY_TIERS.indexOf(tier);
+        this.pinned = pinned; // A forced tier (?profile=) is never changed
+        this.onChange = onChange; // (tier, settings) => void
+        this.slowSeconds = 0;
+        this.fastSeconds = 0;
+        this.skip = this.options.warmupSeconds;
+        this.backoff = {}; // tier -> upSeconds multiplier
+        this.lastUpgrade = null; // { tier, at } of the last step up
+        this.seconds = 0;
+    }
+
+    get tier() {
+        return QUALITY_TIERS[this.index];
+    }
+
+    get settings() {
+        return QUALITY_SETTINGS[this.tier];
+    }
+
+    // Ignore the next samples, e.g. after the page was hidden
+    reset() {
+        this.slowSeconds = 0;
+        this.fastSeconds = 0;
+        this.skip = this.options.warmupSeconds;
+    }
+
+    // fps: frames rendered in the last second
+    sample(fps) {
+        this.seconds++;
+        if (this.pinned) return;
+        if (this.skip > 0) {
+            this.skip--;
+            return;
+        }
+
+        const { downRatio, upRatio, downSeconds, upSeconds } = this.options;
+        const target = this.settings.targetFPS;
+
+        if (fps < target * downRatio) {
+            this.fastSeconds = 0;
+            this.slowSeconds++;
+            if (this.slowSeconds >= downSeconds) {
+                this.step(-1);
+            }
+        } else if (fps >= target * upRatio) {
+            this.slowSeconds = 0;
+            this.fastSeconds++;
+            const next = QUALITY_TIERS[this.index + 1];
+            if (next && this.fastSeconds >= upSeconds * (this.backoff[next] || 1)) {
+                this.step(1);
+            }
+        } else {
+            // In between: good enough, stay put
+            this.slowSeconds = 0;
+            this.fastSeconds = 0;
+        }
+    }
+
+    step(direction) {
+        const index = this.index + direction;
+        if (index < 0 || index >= QUALITY_TIERS.length) {
+            this.slowSeconds = 0;
+            this.fastSeconds = 0;
+            return;
+        }
+
+        const tier = QUALITY_TIERS[index];
+        const from = this.tier;
+
+        if (direction > 0) {
+            this.lastUpgrade = { tier, at: this.seconds };
+        } else {
+            const { failSeconds, maxBackoff } = this.options;
+            const failed = this.lastUpgrade && this.lastUpgrade.tier === from &&
+                this.seconds - this.lastUpgrade.at <= failSeconds;
+            if (failed) {
+                // The upgrade didn't hold; wait longer before trying it again
+                this.backoff[from] = Math.min((this.backoff[from] || 1) * 2, maxBackoff);
+            }
+            this.lastUpgrade = null;
+        }
+
+        this.index = index;
+        this.reset();
+        console.log(`Quality ${from} -> ${tier}`);
+        this.onChange(tier, this.settings);
+    }
+}
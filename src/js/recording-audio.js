@@ -0,0 +1,199 @@
+// Sound for screen recordings.
+//
+// The capture canvas only gives a video track, so the audio is mixed with Web
+// Audio: the app's own sound (the narration element) and, when the visitor
+// turns it on, the microphone, both feed one MediaStreamAudioDestinationNode
+// whose track is added to the recording. The narration keeps playing through
+// the speakers as before; the microphone only goes into the recording, never
+// to the speakers, so it can't feed back.
+//
+// AudioPanel holds the visitor's choice of sources and remembers it.
+import * as storage from './storage.js';
+
+const STORAGE_KEY = 'webar-recording-audio';
+
+export const AUDIO_DEFAULTS = {
+    microphone: false,
+    appAudio: true
+};
+
+export class RecordingAudio {
+    constructor(mediaElements = []) {
+        this.mediaElements = mediaElements; // <audio> / <video> elements whose sound is recorded
+        this.context = null;
+        this.appGain = null;
+        this.destination = null;
+        this.micStream = null;
+        this.micSource = null;
+        this.routed = new Set(); // Elements already playing through the context
+    }
+
+    // Call from the tap that starts the recording: iOS only lets an
+    // AudioContext start during a user gesture. Resolves with
+    // { track, microphoneError }; track is null when there is nothing to
+    // record, microphoneError is set when the microphone was refused and the
+    // recording goes on without it.
+    async start({ microphone = false, appAudio = false } = {}) {
+        this.stop();
+        if (!microphone && !appAudio) {
+            return { track: null, microphoneError: null };
+        }
+
+        const context = this.getContext();
+        const resumed = context.state === 'suspended' ? context.resume() : Promise.resolve();
+
+        // A fresh destination per recording: stopping a recording stops its
+        // tracks, and a stopped track can't be reused
+        this.destination = context.createMediaStreamDestination();
+        this.appGain.connect(this.destination);
+
+        if (appAudio) {
+            this.routeMediaElements();
+        }
+        this.appGain.gain.value = appAudio ? 1 : 0;
+
+        let microphoneError = null;
+        if (microphone) {
+            try {
+                await this.connectMicrophone();
+            } catch (error) {
+                console.warn('Microphone unavailable, recording without it:', error);
+                microphoneError = error;
+            }
+        }
+
+        await resumed;
+
+        if (!appAudio && !this.micSource) {
+            this.stop();
+            return { track: null, microphoneError };
+        }
+        return { track: this.destination.stream.getAudioTracks()[0], microphoneError };
+    }
+
+    // Releases the microphone; the app sound keeps playing through the speakers
+    stop() {
+        if (this.micSource) {
+            this.micSource.disconnect();
+            this.micSource = null;
+        }
+        if (this.micStream) {
+            this.micStream.getTracks().forEach(track => track.stop());
+            this.micStream = null;
+        }
+        if (this.destination) {
+            this.appGain.disconnect(this.destination);
+            this.destination.stream.getTracks().forEach(track => track.stop());
+            this.destination = null;
+        }
+    }
+
+    // The context is suspended along with the page on some browsers; once an
+    // element is routed through it, its sound depends on the context running
+    resume() {
+        if (this.context && this.context.state === 'suspended') {
+            this.context.resume().catch(() => {});
+        }
+    }
+
+    getContext() {
+        if (!this.context) {
+            const AudioContextClass = window.AudioContext || window.webkitAudioContext;
+            this.context = new AudioContextClass();
+            this.appGain = this.context.createGain();
+        }
+        return this.context;
+    }
+
+    // An element can only be given to createMediaElementSource once, and from
+    // then on it plays through the context instead of directly
+    routeMediaElements() {
+        this.mediaElements.forEach(element => {
+            if (this.routed.has(element)) return;
+
+            const source = this.context.createMediaElementSource(element);
+            source.connect(this.context.destination);
+            source.connect(this.appGain);
+            this.routed.add(element);
+        });
+    }
+
+    async connectMicrophone() {
+        if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') {
+            throw new Error('getUserMedia is not available');
+        }
+
+        this.micStream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true }
+        });
+        this.micSource = this.context.createMediaStreamSource(this.micStream);
+        this.micSource.connect(this.destination);
+    }
+}
+
+// Toggle button and panel with the microphone and app sound switches
+export class AudioPanel {
+    constructor({ toggle, panel }) {
+        this.toggle = toggle;
+        this.panel = panel;
+        this.sources = { ...AUDIO_DEFAULTS, ...readStoredSources() };
+
+        this.microphoneCheckbox = panel.querySelector('.audio-microphone');
+        this.appAudioCheckbox = panel.querySelector('.audio-app');
+        if (!navigator.mediaDevices || typeof navigator.mediaDevices.getUserMedia !== 'function') {
+            this.sources.microphone = false;
+            this.microphoneCheckbox.disabled = true;
+        }
+        this.microphoneCheckbox.checked = this.sources.microphone;
+        this.appAudioCheckbox.checked = this.sources.appAudio;
+
+        this.toggle.addEventListener('click', () => this.setOpen(this.panel.classList.contains('hidden')));
+        this.microphoneCheckbox.addEventListener('change', () => this.update());
+        this.appAudioCheckbox.addEventListener('change', () => this.update());
+        this.updateToggle();
+    }
+
+    // { microphone, appAudio } for the next recording
+    getSources() {
+        return { ...this.sources };
+    }
+
+    // Turns the microphone switch off, e.g. after permission was refused
+    disableMicrophone() {
+        this.microphoneCheckbox.checked = false;
+        this.update();
+    }
+
+    update() {
+        this.sources = {
+            microphone: this.microphoneCheckbox.checked,
+            appAudio: this.appAudioCheckbox.checked
+        };
+        storage.setJSON(STORAGE_KEY, this.sources);
+        this.updateToggle();
+    }
+
+    updateToggle() {
+        const { microphone, appAudio } = this.sources;
+        this.toggle.classList.toggle('muted', !microphone && !appAudio);
+        this.toggle.classList.toggle('microphone-on', microphone);
+    }
+
+    setOpen(open) {
+        this.panel.classList.toggle('hidden', !open);
+        this.toggle.setAttribute('aria-expanded', String(open));
+    }
+
+    isOpen() {
+        return !this.panel.classList.contains('hidden');
+    }
+}
+
+function readStoredSources() {
+    const stored = storage.getJSON(STORAGE_KEY);
+    if (!stored || typeof stored !== 'object') return {};
+    return {
+        microphone: stored.microphone === true,
+        appAudio: stored.appAudio !== false
+    };
+}
@@ -0,0 +1,102 @@
+// Countdown before a recording and the progress ring on the stop button.
+//
+// Recordings are capped by duration and size (capture.recording in the
+// manifest) so the recorded chunks can't grow until a phone runs out of
+// memory. The ring fills up towards the duration limit and the label under
+// the stop icon shows the elapsed time; the app itself stops the recording
+// when a limit is reached.
+import { i18n } from './i18n.js';
+
+export const RECORDING_DEFAULTS = {
+    maxDuration: 60, // Seconds
+    maxSizeMB: 100,
+    countdown: 3 // Seconds before recording starts, 0 for none
+};
+
+export class RecordingCountdown {
+    constructor(element) {
+        this.element = element;
+        this.cancelCurrent = null;
+    }
+
+    // Resolves with true when the countdown ran out, false when it was cancelled
+    run(seconds) {
+        this.cancel();
+        if (!seconds) return Promise.resolve(true);
+
+        return new Promise(resolve => {
+            const numberFormat = new Intl.NumberFormat(i18n.language);
+            let remaining = seconds;
+            let timer = null;
+
+            const finish = (completed) => {
+                clearTimeout(timer);
+                this.element.classList.add('hidden');
+                this.cancelCurrent = null;
+                resolve(completed);
+            };
+            const tick = () => {
+                if (remaining === 0) {
+                    finish(true);
+                    return;
+                }
+                this.element.textContent = numberFormat.format(remaining);
+                // Restart the pop animation for every number
+                this.element.classList.remove('tick');
+                void this.element.offsetWidth;
+                this.element.classList.add('tick');
+                remaining--;
+                timer = setTimeout(tick, 1000);
+            };
+
+            this.cancelCurrent = () => finish(false);
+            this.element.classList.remove('hidden');
+            tick();
+        });
+    }
+
+    isRunning() {
+        return this.cancelCurrent !== null;
+    }
+
+    cancel() {
+        if (this.cancelCurrent) {
+            this.cancelCurrent();
+        }
+    }
+}
+
+export class RecordingProgress {
+    constructor(button) {
+        this.ring = button.querySelector('.recording-ring-progress');
+        this.label = button.querySelector('.recording-elapsed');
+        this.circumference = 2 * Math.PI * this.ring.r.baseVal.value;
+        this.shownSeconds = null;
+
+        this.ring.style.strokeDasharray = String(this.circumference);
+        this.reset();
+    }
+
+    // elapsed and limit in seconds
+    update(elapsed, limit) {
+        const progress = limit > 0 ? Math.min(elapsed / limit, 1) : 0;
+        this.ring.style.strokeDashoffset = String(this.circumference * (1 - progress));
+
+        // The label only changes once a second
+        const seconds = Math.floor(elapsed);
+        if (seconds !== this.shownSeconds) {
+            this.shownSeconds = seconds;
+            this.label.textContent = formatDuration(seconds);
+        }
+    }
+
+    reset() {
+        this.update(0, 0);
+    }
+}
+
+// 75 -> "1:15"
+export function formatDuration(seconds) {
+    const whole = Math.floor(seconds);
+    return `${Math.floor(whole / 60)}:${String(whole % 60).padStart(2, '0')}`;
+}
@@ -0,0 +1,90 @@
+// Hands captured files to the visitor.
+//
+// The OS share sheet comes first (navigator.share with files, where canShare
+// says the browser takes them). When sharing isn't available or fails, the
+// caller's fallbacks - downloading, or a page in a new window on iOS - are
+// tried in order. Either way the caller gets one ShareResult saying which
+// method worked.
+
+export class ShareResult {
+    constructor(method, { cancelled = false, error = null } = {}) {
+        this.method = method; // 'share', 'download', 'window', or null when nothing worked
+        this.cancelled = cancelled; // The visitor closed the share sheet
+        this.error = error;
+    }
+
+    get ok() {
+        return this.method !== null && !this.cancelled;
+    }
+
+    // For callers that treat a file nobody could save as a failed capture;
+    // a closed share sheet isn't one
+    throwIfFailed() {
+        if (this.method === null) {
+            throw this.error || new Error('No way to save the file');
+        }
+        return this;
+    }
+}
+
+export function canShareFile(file) {
+    if (typeof navigator.share !== 'function' || typeof navigator.canShare !== 'function') {
+        return false;
+    }
+    try {
+        return navigator.canShare({ files: [file] });
+    } catch (error) {
+        return false;
+    }
+}
+
+// shareData: { title, text, url } sent along with the file
+// fallbacks: [{ method, run }], run() returns false (or throws) when it failed
+export async function shareFile(file, { shareData = {}, fallbacks = [] } = {}) {
+    if (canShareFile(file)) {
+        try {
+            await navigator.share({ ...withoutEmpty(shareData), files: [file] });
+            return new ShareResult('share');
+        } catch (error) {
+            if (error.name === 'AbortError') {
+                return new ShareResult('share', { cancelled: true });
+            }
+            // NotAllowedError when the tap that started the capture is too
+            // long ago, e.g. after a recording was encoded
+            console.warn('Sharing failed, falling back:', error);
+        }
+    }
+
+    let lastError = null;
+    for (const { method, run } of fallbacks) {
+        try {
+            if (await run() !== false) {
+                return new ShareResult(method);
+            }
+        } catch (error) {
+            console.warn(`${method} fallback failed:`, error);
+            lastError = error;
+        }
+    }
+
+    return new ShareResult(null, { error: lastError || new Error('No way to save the file') });
+}
+
+// Saves a URL through a temporary download link
+export function downloadFile(url, filename) {
+    const link = document.createElement('a');
+    link.download = filename;
+    link.href = url;
+    link.style.display = 'none';
+    document.body.appendChild(link);
+
+    link.click();
+
+    setTimeout(() => {
+        document.body.removeChild(link);
+    }, 1000);
+}
+
+function withoutEmpty(data) {
+    return Object.fromEntries(Object.entries(data).filter(([, value]) => value));
+}
@@ -0,0 +1,40 @@
+// What the app keeps in localStorage: the visitor's language, camera and
+// recording sound choices, and analytics events waiting to be sent.
+//
+// Private browsing modes may refuse localStorage or throw when it is full.
+// Nothing stored here is essential, so failures are quiet: reads give null
+// and writes are dropped, and a choice just isn't remembered.
+
+export function get(key) {
+    try {
+        return localStorage.getItem(key);
+    } catch (error) {
+        return null;
+    }
+}
+
+// null removes the key
+export function set(key, value) {
+    try {
+        if (value === null) {
+            localStorage.removeItem(key);
+        } else {
+            localStorage.setItem(key, value);
+        }
+    } catch (error) {
+        // Not remembered, see above
+    }
+}
+
+// null as well when the stored text isn't JSON
+export function getJSON(key) {
+    try {
+        return JSON.parse(get(key));
+    } catch (error) {
+        return null;
+    }
+}
+
+export function setJSON(key, value) {
+    set(key, value === null ? null : JSON.stringify(value));
+}
@@ -0,0 +1,84 @@
+// Resolves the target entries of the experience manifest into complete
+// per-target configs. Every entry maps a target index to the model shown on it,
+// how that model is placed on the target and which idle behaviours it uses.
+//
+// NOTE: targetIndex follows the order the images were added in MindAR Studio.
+
+// Fallbacks for anything neither the manifest defaults nor the entry set
+const BUILTIN_DEFAULTS = {
+    placement: {
+        fit: 0.8, // Fraction of the target width the model's largest side should cover
+        offset: [0, 0, 0.05], // Extra offset in target units, z lifts the model off the image
+        rotation: [0, 0, 0] // Euler rotation in degrees
+    },
+    behaviour: {
+        float: { amplitude: 0.008, speed: 1.0 }, // Gentle up/down bobbing while visible
+        idleRotation: { amplitude: 3, speed: 0.15 }, // Slow swing around the Y axis, amplitude in degrees
+        shadow: true // Blob shadow under the model (desktop only)
+    },
+    animation: {
+        autoplay: true, // glTF clip looped while idle: a clip name, true for the first clip, false for none
+        onFound: null, // Clip played once whenever the target is found, then back to autoplay
+        loop: 'repeat', // 'repeat' or 'once' for the autoplay clip
+        crossFadeMs: 300 // Cross-fade between clips
+    },
+    tracking: {
+        // Pose filter smoothing the anchor: 'oneEuro', 'ema', 'kalman' or 'none'
+        // (see filters/pose-filter.js for the parameters of each)
+        filter: { type: 'oneEuro' }
+    },
+    gestures: {
+        enabled: true,
+        drag: 'orbit', // One-finger drag: 'orbit' (spin / tilt), 'move' (slide on the target) or 'none'
+        scale: { min: 0.5, max: 3 }, // Pinch limits as multiples of the fitted size
+        rotation: { min: null, max: null }, // Twist / orbit yaw limits in degrees, null = unlimited
+        pitch: { min: -45, max: 45 }, // Orbit tilt limits in degrees
+        moveRadius: 0.5 // How far 'move' may slide the model from the anchor, in target widths
+    },
+    hotspots: [], // Annotated points: { title, text, image, imageAlt, node, position }
+    narration: null, // Spoken explanation: { audio, captions } (captions is a WebVTT file)
+    overlay: null // Name of the capture.overlays template drawn on screenshots and recordings
+};
+
+export function resolveTargetConfig(entry, defaults = {}, { isMobile = false } = {}) {
+    const config = mergeDeep(mergeDeep(BUILTIN_DEFAULTS, defaults), entry);
+    const { mobile, ...behaviour } = config.behaviour;
+
+    return {
+        ...config,
+        name: entry.name || `target-${entry.targetIndex}`,
+        behaviour: isMobile && mobile ? mergeDeep(behaviour, mobile) : behaviour,
+        tracking: {
+            ...config.tracking,
+            filter: resolveFilterConfig(BUILTIN_DEFAULTS.tracking.filter, defaults, entry)
+        }
+    };
+}
+
+// Filter parameters only carry over while the filter type stays the same;
+// a target switching to another filter starts from that filter's own defaults
+function resolveFilterConfig(builtin, defaults, entry) {
+    return [defaults, entry].reduce((filter, source) => {
+        const override = source.tracking && source.tracking.filter;
+        if (!override) return filter;
+        if (override.type && override.type !== filter.type) return override;
+        return mergeDeep(filter, override);
+    }, builtin);
+}
+
+// Plain objects are merged key by key, everything else (arrays included) is replaced
+function mergeDeep(base, override) {
+    if (!isPlainObject(base) || !isPlainObject(override)) {
+        return override === undefined ? base : override;
+    }
+
+    const result = { ...base };
+    Object.keys(override).forEach(key => {
+        result[key] = mergeDeep(base[key], override[key]);
+    });
+    return result;
+}
+
+function isPlainObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
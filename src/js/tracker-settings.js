@@ -0,0 +1,64 @@
+// Options of the MindAR image tracker.
+//
+// They come from the manifest's "tracker" section and can be overridden with
+// URL parameters of the same name while trying values at an exhibit, e.g.
+// ?filterMinCF=0.0005&missTolerance=10&uiScanning=no. Anything not given
+// keeps MindAR's own default.
+
+export const TRACKER_DEFAULTS = {
+    maxTrack: 1, // Targets tracked at the same time
+    filterMinCF: 0.001, // MindAR's One Euro filter: lower is steadier when still
+    filterBeta: 1000, // ... higher follows fast movement more closely
+    warmupTolerance: 5, // Frames a target must be seen before it counts as found
+    missTolerance: 5, // Frames a target may be missed before it counts as lost
+    uiLoading: true, // MindAR's own loading, scanning and error overlays
+    uiScanning: true,
+    uiError: true
+};
+
+// Options a running tracker takes on a restart; the overlays are only set
+// up when MindAR is created
+export const RESTARTABLE_OPTIONS = ['maxTrack', 'filterMinCF', 'filterBeta', 'warmupTolerance', 'missTolerance'];
+
+export function resolveTrackerSettings(config = {}, search = window.location.search) {
+    const params = new URLSearchParams(search);
+    const settings = { ...TRACKER_DEFAULTS, ...config };
+
+    Object.keys(TRACKER_DEFAULTS).forEach(key => {
+        if (!params.has(key)) return;
+
+        const value = parseValue(params.get(key), typeof TRACKER_DEFAULTS[key]);
+        if (value === null) {
+            console.warn(`Ignoring ?${key}=${params.get(key)}`);
+        } else {
+            settings[key] = value;
+        }
+    });
+
+    return settings;
+}
+
+// The settings in the form the MindARThree constructor takes
+export function toMindAROptions(settings) {
+    return {
+        maxTrack: settings.maxTrack,
+        filterMinCF: settings.filterMinCF,
+        filterBeta: settings.filterBeta,
+        warmupTolerance: settings.warmupTolerance,
+        missTolerance: settings.missTolerance,
+        uiLoading: settings.uiLoading ? 'yes' : 'no',
+        uiScanning: settings.uiScanning ? 'yes' : 'no',
+        uiError: settings.uiError ? 'yes' : 'no'
+    };
+}
+
+function parseValue(text, type) {
+    if (type === 'boolean') {
+        if (['yes', 'true', '1', ''].includes(text)) return true;
+        if (['no', 'false', '0'].includes(text)) return false;
+        return null;
+    }
+
+    const number = Number(text);
+    return text !== '' && Number.isFinite(number) && number > 0 ? number : null;
+}
@@ -0,0 +1,108 @@
+// Decides what a target shows while MindAR has lost it and how it comes back.
+//
+// Policies (onLost.mode):
+//   hide  - hide as soon as the grace period (holdMs, default 0) is over
+//   hold  - keep the last pose for holdMs, then hide
+//   fade  - keep the last pose for holdMs, then fade out over durationMs
+//   scale - keep the last pose for holdMs, then shrink away over durationMs
+//
+// When the target is found again while it is still on screen, poseBlend ramps
+// from 0 to 1 over reacquire.blendMs so the caller can ease from the shown
+// pose into the tracked one. fade / scale targets also ease back in from
+// whatever presence they had left.
+
+export const LOSS_DEFAULTS = {
+    onLost: { mode: 'hide', holdMs: 0, durationMs: 400 },
+    reacquire: { blendMs: 250 }
+};
+
+export class TrackingLossController {
+    constructor({ onLost, reacquire } = {}) {
+        this.onLost = { ...LOSS_DEFAULTS.onLost, ...onLost };
+        this.reacquire = { ...LOSS_DEFAULTS.reacquire, ...reacquire };
+        this.state = 'hidden'; // 'hidden' | 'tracking' | 'holding' | 'exiting'
+        this.changedAt = 0;
+        this.enterFrom = 1; // Presence the target had when tracking resumed
+        this.blending = false;
+    }
+
+    // Returns true when the target was still on screen, i.e. the caller should
+    // blend from the displayed pose instead of snapping to the new one
+    found(now) {
+        const wasShown = this.state === 'holding' || this.state === 'exiting';
+        const animatesPresence = this.onLost.mode === 'fade' || this.onLost.mode === 'scale';
+
+        this.enterFrom = animatesPresence ? this.presenceAt(now) : 1;
+        this.blending = wasShown && this.reacquire.blendMs > 0;
+        this.state = 'tracking';
+        this.changedAt = now;
+        return this.blending;
+    }
+
+    lost(now) {
+        if (this.state !== 'tracking') return;
+
+        const keepsShowing = this.onLost.mode !== 'hide' || this.onLost.holdMs > 0;
+        this.state = keepsShowing ? 'holding' : 'hidden';
+        this.changedAt = now;
+    }
+
+    // { visible, presence (0..1, drives opacity or scale), poseBlend (0..1) }
+    update(now) {
+        this.advance(now);
+
+        return {
+            visible: this.state !== 'hidden',
+            presence: this.presenceAt(now),
+            poseBlend: this.poseBlendAt(now)
+        };
+    }
+
+    // Moves through holding -> exiting -> hidden as time passes
+    advance(now) {
+        const elapsed = now - this.changedAt;
+        const { mode, holdMs, durationMs } = this.onLost;
+
+        if (this.state === 'holding' && elapsed >= holdMs) {
+            const animatesExit = (mode === 'fade' || mode === 'scale') && durationMs > 0;
+            this.state = animatesExit ? 'exiting' : 'hidden';
+            this.changedAt += holdMs;
+        }
+
+        if (this.state === 'exiting' && now - this.changedAt >= durationMs) {
+            this.state = 'hidden';
+            this.changedAt += durationMs;
+        }
+
+        if (this.state === 'tracking' && this.blending && elapsed >= this.reacquire.blendMs) {
+            this.blending = false;
+        }
+    }
+
+    presenceAt(now) {
+        const elapsed = now - this.changedAt;
+
+        switch (this.state) {
+            case 'tracking': {
+                if (this.enterFrom >= 1 || this.reacquire.blendMs <= 0) return 1;
+                const t = Math.min(1, elapsed / this.reacquire.blendMs);
+                return this.enterFrom + (1 - this.enterFrom) * easeInOut(t);
+            }
+            case 'holding':
+                return 1;
+            case 'exiting':
+                return 1 - easeInOut(Math.min(1, elapsed / this.onLost.durationMs));
+            default:
+                return 0;
+        }
+    }
+
+    poseBlendAt(now) {
+        if (this.state !== 'tracking' || !this.blending) return 1;
+        return easeInOut(Math.min(1, (now - this.changedAt) / this.reacquire.blendMs));
+    }
+}
+
+function easeInOut(t) {
+    return t * t * (3 - 2 * t);
+}
@@ -0,0 +1,261 @@
+// Developer panel for tuning tracking at the exhibit, opened with ?tune.
+//
+// Sliders for MindAR's tracker options and for the pose filter that smooths
+// every anchor. Pose filter changes apply while sliding; tracker options only
+// take effect when MindAR restarts, so those are passed on once a slider is
+// let go. Export hands out the chosen values as a manifest fragment for the
+// exhibit's experience.json.
+//
+// It is a tool for staff rather than visitors, so it is English only and
+// built here instead of in index.html.
+import { RESTARTABLE_OPTIONS } from './tracker-settings.js';
+import { POSE_FILTERS, DEFAULT_POSE_FILTER } from './filters/pose-filter.js';
+import { downloadFile } from './share.js';
+
+// Log sliders for values that span orders of magnitude
+const TRACKER_RANGES = {
+    maxTrack: { min: 1, max: 5, step: 1 },
+    filterMinCF: { min: 0.00001, max: 0.1, log: true },
+    filterBeta: { min: 1, max: 100000, log: true },
+    warmupTolerance: { min: 1, max: 30, step: 1 },
+    missTolerance: { min: 1, max: 30, step: 1 }
+};
+
+const FILTER_RANGES = {
+    minCutoff: { min: 0.01, max: 20, log: true },
+    beta: { min: 0.00001, max: 10, log: true },
+    dCutoff: { min: 0.1, max: 10, log: true },
+    alpha: { min: 0.01, max: 1, step: 0.01 },
+    processNoise: { min: 0.000001, max: 10000000, log: true },
+    measurementNoise: { min: 0.000001, max: 100, log: true }
+};
+
+const LOG_STEPS = 1000;
+const EXPORT_FILENAME = 'tracker-tuning.json';
+
+export class TuningPanel {
+    // tracker: settings from resolveTrackerSettings; filter: the pose filter
+    // config ({ type, position, rotation }) the targets start with
+    constructor({ tracker, filter, maxTargets = 1, onTrackerChange = () => {}, onFilterChange = () => {} }) {
+        this.tracker = { ...tracker };
+        this.filter = withFilterDefaults(filter);
+        this.onTrackerChange = onTrackerChange; // (settings) => void
+        this.onFilterChange = onFilterChange; // (filter) => void
+        this.trackerRanges = { ...TRACKER_RANGES, maxTrack: { ...TRACKER_RANGES.maxTrack, max: Math.max(1, maxTargets) } };
+
+        this.element = document.createElement('div');
+        this.element.id = 'tuning-panel';
+        this.element.dataset.noGestures = '';
+
+        const header = document.createElement('div');
+        header.className = 'tuning-header';
+        const title = document.createElement('h2');
+        title.textContent = 'Tracker tuning';
+        const collapse = document.createElement('button');
+        collapse.type = 'button';
+        collapse.textContent = '−';
+        collapse.setAttribute('aria-label', 'Collapse');
+        collapse.addEventListener('click', () => {
+            const collapsed = this.element.classList.toggle('collapsed');
+            collapse.textContent = collapsed ? '+' : '−';
+            collapse.setAttribute('aria-label', collapsed ? 'Expand' : 'Collapse');
+        });
+        header.append(title, collapse);
+
+        this.body = document.createElement('div');
+        this.body.className = 'tuning-body';
+
+        this.trackerSection = this.createSection('MindAR (restarts the tracker)');
+        RESTARTABLE_OPTIONS.forEach(key => {
+            this.trackerSection.appendChild(this.createSlider(key, this.tracker[key], this.trackerRanges[key], {
+                onInput: (value) => { this.tracker[key] = value; },
+                onChange: () => this.onTrackerChange({ ...this.tracker })
+            }));
+        });
+
+        this.filterSection = this.createSection('Pose filter (live)');
+        this.renderFilter();
+
+        const actions = document.createElement('div');
+        actions.className = 'tuning-actions';
+        const copyButton = document.createElement('button');
+        copyButton.type = 'button';
+        copyButton.textContent = 'Copy JSON';
+        copyButton.addEventListener('click', () => this.copyJSON());
+        const downloadButton = document.createElement('button');
+        downloadButton.type = 'button';
+        downloadButton.textContent = 'Download';
+        downloadButton.addEventListener('click', () => this.downloadJSON());
+        actions.append(copyButton, downloadButton);
+
+        this.note = document.createElement('p');
+        this.note.className = 'tuning-note';
+        this.note.setAttribute('role', 'status');
+
+        this.output = document.createElement('textarea');
+        this.output.className = 'tuning-output hidden';
+        this.output.readOnly = true;
+        this.output.rows = 8;
+
+        this.body.append(this.trackerSection, this.filterSection, actions, this.note, this.output);
+        this.element.append(header, this.body);
+    }
+
+    createSection(heading) {
+        const section = document.createElement('fieldset');
+        const legend = document.createElement('legend');
+        legend.textContent = heading;
+        section.appendChild(legend);
+        return section;
+    }
+
+    // A labelled range input; log ranges slide over the exponent
+    createSlider(name, value, range, { onInput, onChange = () => {} }) {
+        const row = document.createElement('label');
+        row.className = 'tuning-row';
+        const label = document.createElement('span');
+        label.textContent = name;
+        const output = document.createElement('output');
+        output.textContent = formatValue(value);
+
+        const input = document.createElement('input');
+        input.type = 'range';
+        if (range.log) {
+            input.min = 0;
+            input.max = LOG_STEPS;
+            input.step = 1;
+            const position = value > 0 ? Math.log(value / range.min) / Math.log(range.max / range.min) : 0;
+            input.value = Math.round(Math.min(1, Math.max(0, position)) * LOG_STEPS);
+        } else {
+            input.min = range.min;
+            input.max = range.max;
+            input.step = range.step;
+            input.value = value;
+        }
+
+        const read = () => {
+            if (!range.log) return Number(input.value);
+            const exact = range.min * Math.pow(range.max / range.min, input.value / LOG_STEPS);
+            return Number(exact.toPrecision(3));
+        };
+        input.addEventListener('input', () => {
+            const current = read();
+            output.textContent = formatValue(current);
+            onInput(current);
+        });
+        input.addEventListener('change', () => onChange(read()));
+
+        row.append(label, output, input);
+        return row;
+    }
+
+    // Filter type picker and the sliders for that type's parameters
+    renderFilter() {
+        this.filterSection.querySelectorAll('.tuning-row, .tuning-group').forEach(element => element.remove());
+
+        const typeRow = document.createElement('label');
+        typeRow.className = 'tuning-row';
+        const typeLabel = document.createElement('span');
+        typeLabel.textContent = 'type';
+        const select = document.createElement('select');
+        Object.keys(POSE_FILTERS).forEach(type => {
+            const option = document.createElement('option');
+            option.value = type;
+            option.textContent = type;
+            select.appendChild(option);
+        });
+        select.value = this.filter.type;
+        select.addEventListener('change', () => {
+            this.filter = withFilterDefaults({ type: select.value });
+            this.renderFilter();
+            this.onFilterChange(copy(this.filter));
+        });
+        typeRow.append(typeLabel, select);
+        this.filterSection.appendChild(typeRow);
+
+        ['position', 'rotation'].forEach(group => {
+            if (!this.filter[group]) return;
+
+            const heading = document.createElement('p');
+            heading.className = 'tuning-group';
+            heading.textContent = group;
+            this.filterSection.appendChild(heading);
+
+            Object.keys(this.filter[group]).forEach(key => {
+                const range = FILTER_RANGES[key];
+                if (!range) return;
+                this.filterSection.appendChild(this.createSlider(key, this.filter[group][key], range, {
+                    onInput: (value) => {
+                        this.filter[group][key] = value;
+                        this.onFilterChange(copy(this.filter));
+                    }
+                }));
+            });
+        });
+    }
+
+    // Shows that the tracker is restarting; slider changes made meanwhile
+    // are applied afterwards
+    setBusy(busy) {
+        this.element.classList.toggle('busy', busy);
+        this.setNote(busy ? 'Restarting tracker…' : '');
+    }
+
+    setNote(text) {
+        this.note.textContent = text;
+    }
+
+    // The manifest fragment for the chosen values: "tracker" at the top level
+    // and the pose filter as the default for every target
+    exportConfig() {
+        const tracker = {};
+        RESTARTABLE_OPTIONS.forEach(key => {
+            tracker[key] = this.tracker[key];
+        });
+        return { tracker, defaults: { tracking: { filter: copy(this.filter) } } };
+    }
+
+    async copyJSON() {
+        const json = JSON.stringify(this.exportConfig(), null, 4);
+        this.output.value = json;
+        this.output.classList.remove('hidden');
+
+        try {
+            await navigator.clipboard.writeText(json);
+            this.setNote('Copied - paste it into experience.json');
+        } catch (error) {
+            // No clipboard access (e.g. plain http); copying by hand still works
+            this.output.select();
+            this.setNote('Copy the JSON below into experience.json');
+        }
+    }
+
+    downloadJSON() {
+        const blob = new Blob([JSON.stringify(this.exportConfig(), null, 4) + '\n'], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+        downloadFile(url, EXPORT_FILENAME);
+        setTimeout(() => URL.revokeObjectURL(url), 1000);
+    }
+}
+
+// { type, position, rotation } with every parameter of the type filled in,
+// so each one gets a slider
+function withFilterDefaults(filter = {}) {
+    const type = POSE_FILTERS[filter.type] ? filter.type : DEFAULT_POSE_FILTER;
+    const { defaults } = POSE_FILTERS[type];
+    const result = { type };
+    ['position', 'rotation'].forEach(group => {
+        if (defaults[group]) {
+            result[group] = { ...defaults[group], ...filter[group] };
+        }
+    });
+    return result;
+}
+
+function copy(filter) {
+    return JSON.parse(JSON.stringify(filter));
+}
+
+function formatValue(value) {
+    return Number.isInteger(value) ? String(value) : String(Number(value.toPrecision(3)));
+}
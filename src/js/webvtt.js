@@ -0,0 +1,57 @@
+// Minimal WebVTT parser for narration captions.
+//
+// Handles cue identifiers, hh:mm:ss.ttt / mm:ss.ttt timestamps, multi-line
+// cue text and skips NOTE / STYLE / REGION blocks. Cue settings and markup
+// (<v Speaker>, <i>, ...) are dropped - captions are shown as plain text.
+
+const TIMING = /^((?:\d+:)?\d{2}:\d{2}\.\d{3})\s+-->\s+((?:\d+:)?\d{2}:\d{2}\.\d{3})/;
+
+export function parseWebVTT(text) {
+    const blocks = text.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+
+    if (!/^﻿?WEBVTT(?:[ \t]|$)/.test(blocks[0])) {
+        throw new Error('Not a WebVTT file (missing WEBVTT header)');
+    }
+
+    const cues = [];
+
+    blocks.slice(1).forEach(block => {
+        const lines = block.split('\n').filter(line => line.trim() !== '');
+        if (lines.length === 0 || /^(NOTE|STYLE|REGION)\b/.test(lines[0])) return;
+
+        // The optional first line is the cue identifier
+        const timingIndex = TIMING.test(lines[0]) ? 0 : 1;
+        const timing = TIMING.exec(lines[timingIndex] || '');
+        if (!timing) return;
+
+        cues.push({
+            start: parseTimestamp(timing[1]),
+            end: parseTimestamp(timing[2]),
+            text: lines.slice(timingIndex + 1).map(stripMarkup).join('\n')
+        });
+    });
+
+    return cues.sort((a, b) => a.start - b.start);
+}
+
+// Text of the cues active at time (seconds), joined when they overlap
+export function getCaptionAt(cues, time) {
+    return cues
+        .filter(cue => cue.start <= time && time < cue.end)
+        .map(cue => cue.text)
+        .join('\n');
+}
+
+function parseTimestamp(value) {
+    const parts = value.split(':').map(Number);
+    return parts.reduce((seconds, part) => seconds * 60 + part, 0);
+}
+
+function stripMarkup(line) {
+    return line
+        .replace(/<[^>]*>/g, '')
+        .replace(/&lt;/g, '<')
+        .replace(/&gt;/g, '>')
+        .replace(/&nbsp;/g, ' ')
+        .replace(/&amp;/g, '&');
+}
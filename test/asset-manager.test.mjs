@@ -0,0 +1,113 @@
+// The asset cache: least recently used models go first once the memory
+// budget is exceeded, and retained ones stay.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { AssetManager, AssetState } from '../src/js/asset-manager.js';
+
+// A glTF whose one mesh has a vertex buffer of `bytes` bytes
+function fakeGLTF(bytes) {
+    const geometry = {
+        isBufferGeometry: true,
+        attributes: { position: { array: { byteLength: bytes } } },
+        disposed: false,
+        dispose() {
+            this.disposed = true;
+        }
+    };
+    const mesh = { geometry, material: null };
+    return { scene: { traverse: (visit) => visit(mesh) }, geometry };
+}
+
+// Every URL loads a 100-byte model
+function createManager(budgetBytes) {
+    const evicted = [];
+    const loaded = new Map();
+    const manager = new AssetManager({
+        budgetBytes,
+        loader: {
+            loadAsync: async (url) => {
+                const gltf = fakeGLTF(100);
+                loaded.set(url, gltf);
+                return gltf;
+            }
+        },
+        onEvict: (url) => evicted.push(url)
+    });
+    return { manager, evicted, loaded };
+}
+
+test('keeps everything within the budget', async () => {
+    const { manager, evicted } = createManager(300);
+    await manager.load('a.glb');
+    await manager.load('b.glb');
+    await manager.load('c.glb');
+
+    assert.deepEqual(evicted, []);
+    assert.equal(manager.getUsedBytes(), 300);
+});
+
+test('evicts the least recently used asset first', async () => {
+    const { manager, evicted, loaded } = createManager(250);
+    await manager.load('a.glb');
+    await manager.load('b.glb');
+    await manager.load('a.glb'); // a is used again, so b is now the oldest
+    await manager.load('c.glb');
+
+    assert.deepEqual(evicted, ['b.glb']);
+    assert.equal(manager.getState('b.glb'), AssetState.IDLE);
+    assert.equal(manager.getState('a.glb'), AssetState.LOADED);
+    assert.equal(loaded.get('b.glb').geometry.disposed, true);
+});
+
+test('never evicts a retained asset', async () => {
+    const { manager, evicted } = createManager(150);
+    await manager.load('a.glb');
+    manager.retain('a.glb');
+    await manager.load('b.glb');
+    await manager.load('c.glb');
+
+    // c is over the budget too, but it was just loaded for its caller
+    assert.deepEqual(evicted, ['b.glb']);
+    assert.equal(manager.getState('a.glb'), AssetState.LOADED);
+    assert.equal(manager.getState('c.glb'), AssetState.LOADED);
+
+    // Released, it is the oldest again and goes as soon as it is over budget
+    manager.release('a.glb');
+    assert.deepEqual(evicted, ['b.glb', 'a.glb']);
+});
+
+test('a failed load can be retried', async () => {
+    let attempts = 0;
+    const manager = new AssetManager({
+        budgetBytes: 1000,
+        loader: {
+            loadAsync: async () => {
+                attempts++;
+                if (attempts === 1) throw new Error('Network down');
+                return fakeGLTF(100);
+            }
+        }
+    });
+
+    await assert.rejects(manager.load('a.glb'), /Network down/);
+    assert.equal(manager.getState('a.glb'), AssetState.ERROR);
+
+    await manager.load('a.glb');
+    assert.equal(manager.getState('a.glb'), AssetState.LOADED);
+});
+
+test('an asset evicted while loading is disposed when it arrives', async () => {
+    let finish;
+    const gltf = fakeGLTF(100);
+    const manager = new AssetManager({
+        budgetBytes: 1000,
+        loader: { loadAsync: () => new Promise(resolve => { finish = resolve; }) }
+    });
+
+    const loading = manager.load('a.glb');
+    manager.evict('a.glb');
+    finish(gltf);
+
+    await assert.rejects(loading, /evicted while loading/);
+    assert.equal(gltf.geometry.disposed, true);
+});
@@ -0,0 +1,185 @@
+// Loop captures: the frame order of each mode and the GIF the encoder worker
+// writes, read back with a decoder written for the test.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { frameSequence } from '../src/js/loop-capture.js';
+
+// The worker script answers through self.postMessage
+const messages = [];
+globalThis.self = { postMessage: (message) => messages.push(message) };
+await import('../src/js/gif-worker.js');
+
+function encode(message) {
+    messages.length = 0;
+    self.onmessage({ data: message });
+    const last = messages[messages.length - 1];
+    assert.equal(last.type, 'done', last.message);
+    return { bytes: new Uint8Array(last.buffer), progress: messages.filter(m => m.type === 'progress').map(m => m.value) };
+}
+
+// Grey levels the encoder's 5-bit palette reproduces exactly
+const LEVELS = Array.from({ length: 32 }, (value, c) => (c << 3) | (c >> 2));
+
+// RGBA frame of grey levels picked by a seeded generator, so every run is the same
+function noiseFrame(width, height, seed) {
+    const pixels = new Uint8Array(width * height * 4);
+    let state = seed;
+    for (let i = 0; i < pixels.length; i += 4) {
+        state = (state * 1103515245 + 12345) >>> 0;
+        const level = LEVELS[(state >>> 16) % LEVELS.length];
+        pixels.set([level, level, level, 255], i);
+    }
+    return pixels;
+}
+
+// Image descriptors, delays, palette and loop extension of a GIF
+function readGIF(bytes) {
+    let offset = 0;
+    const u16 = () => bytes[offset++] | (bytes[offset++] << 8);
+    const subBlocks = () => {
+        const data = [];
+        for (let size = bytes[offset++]; size > 0; size = bytes[offset++]) {
+            data.push(...bytes.subarray(offset, offset + size));
+            offset += size;
+        }
+        return data;
+    };
+
+    const header = String.fromCharCode(...bytes.subarray(0, 6));
+    offset = 6;
+    const gif = { header, width: u16(), height: u16(), frames: [], loops: false };
+    const packed = bytes[offset];
+    offset += 3;
+    const paletteSize = packed & 0x80 ? 2 << (packed & 7) : 0;
+    gif.palette = [];
+    for (let i = 0; i < paletteSize; i++, offset += 3) {
+        gif.palette.push([bytes[offset], bytes[offset + 1], bytes[offset + 2]]);
+    }
+
+    let delay = null;
+    for (;;) {
+        const block = bytes[offset++];
+        if (block === 0x3b) break;
+        if (block === 0x21) {
+            const label = bytes[offset++];
+            const data = subBlocks();
+            if (label === 0xf9) delay = data[1] | (data[2] << 8);
+            if (label === 0xff && String.fromCharCode(...data.slice(0, 11)) === 'NETSCAPE2.0') gif.loops = true;
+        } else if (block === 0x2c) {
+            offset += 4;
+            const width = u16();
+            const height = u16();
+            offset++;
+            const minCodeSize = bytes[offset++];
+            gif.frames.push({ width, height, delay, indices: lzwDecode(subBlocks(), minCodeSize) });
+        } else {
+            throw new Error(`Unexpected block 0x${block.toString(16)} at ${offset - 1}`);
+        }
+    }
+    return gif;
+}
+
+// The usual GIF decoder: the code size grows when the table fills the
+// current size, and starts over at each clear code
+function lzwDecode(data, minCodeSize) {
+    const clearCode = 1 << minCodeSize;
+    const endCode = clearCode + 1;
+    const output = [];
+    let table;
+    let codeSize;
+    let previous;
+    const reset = () => {
+        table = Array.from({ length: clearCode + 2 }, (value, i) => [i]);
+        codeSize = minCodeSize + 1;
+        previous = null;
+    };
+    reset();
+
+    let bit = 0;
+    const read = () => {
+        let code = 0;
+        for (let i = 0; i < codeSize; i++, bit++) {
+            code |= ((data[bit >> 3] >> (bit & 7)) & 1) << i;
+        }
+        return code;
+    };
+
+    while (bit + codeSize <= data.length * 8) {
+        const code = read();
+        if (code === clearCode) {
+            reset();
+            continue;
+        }
+        if (code === endCode) break;
+
+        let entry;
+        if (code < table.length) {
+            entry = table[code];
+        } else if (code === table.length && previous) {
+            entry = previous.concat(previous[0]);
+        } else {
+            throw new Error(`Bad LZW code ${code}`);
+        }
+        output.push(...entry);
+
+        if (previous && table.length < 4096) {
+            table.push(previous.concat(entry[0]));
+            if (table.length === 1 << codeSize && codeSize < 12) {
+                codeSize++;
+            }
+        }
+        previous = entry;
+    }
+    return output;
+}
+
+test('a GIF plays its frames forward', () => {
+    assert.deepEqual(frameSequence(4, 'gif'), [0, 1, 2, 3]);
+});
+
+test('a boomerang turns around without repeating the end frames', () => {
+    assert.deepEqual(frameSequence(4, 'boomerang'), [0, 1, 2, 3, 2, 1]);
+    assert.deepEqual(frameSequence(2, 'boomerang'), [0, 1]);
+});
+
+test('the encoder writes a looping GIF with one image per sequence entry', () => {
+    const width = 8;
+    const height = 4;
+    const frames = [noiseFrame(width, height, 1), noiseFrame(width, height, 2)];
+    const { bytes, progress } = encode({
+        width,
+        height,
+        frames: frames.map(frame => frame.buffer),
+        sequence: frameSequence(2, 'boomerang').concat(1, 0),
+        delay: 100
+    });
+    const gif = readGIF(bytes);
+
+    assert.equal(gif.header, 'GIF89a');
+    assert.deepEqual([gif.width, gif.height], [width, height]);
+    assert.equal(gif.loops, true);
+    assert.equal(gif.frames.length, 4);
+    gif.frames.forEach(frame => {
+        assert.deepEqual([frame.width, frame.height, frame.delay], [width, height, 10]);
+    });
+    assert.deepEqual(progress, [0.5, 1]);
+});
+
+test('frames decode to the colours they were made of, past a full LZW table', () => {
+    // Over 4096 codes, so the encoder has to clear its table
+    const width = 128;
+    const height = 128;
+    const frame = noiseFrame(width, height, 7);
+    const { bytes } = encode({ width, height, frames: [frame.buffer], sequence: [0], delay: 100 });
+    const gif = readGIF(bytes);
+    const [{ indices }] = gif.frames;
+
+    assert.equal(indices.length, width * height);
+    indices.forEach((index, pixel) => {
+        const [r, g, b] = gif.palette[index];
+        const expected = frame[pixel * 4];
+        if (r !== expected || g !== expected || b !== expected) {
+            assert.fail(`pixel ${pixel} is ${[r, g, b]}, expected grey ${expected}`);
+        }
+    });
+});
@@ -0,0 +1,66 @@
+// The manifest validator: the shipped manifest passes, and each kind of
+// mistake is reported with the path to it.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { validateManifest } from '../src/js/manifest.js';
+
+const readJSON = (path) => JSON.parse(readFileSync(new URL(path, import.meta.url), 'utf8'));
+const schema = readJSON('../src/config/experience.schema.json');
+const shipped = readJSON('../src/config/experience.json');
+
+// The shipped manifest with one mistake made by change(manifest)
+function errorsWith(change) {
+    const manifest = JSON.parse(JSON.stringify(shipped));
+    change(manifest);
+    return validateManifest(manifest, schema);
+}
+
+test('the shipped manifest is valid', () => {
+    assert.deepEqual(validateManifest(shipped, schema), []);
+});
+
+test('a missing required property', () => {
+    assert.deepEqual(errorsWith(manifest => delete manifest.imageTargets),
+        ['/: missing required property "imageTargets"']);
+});
+
+test('a value of the wrong type', () => {
+    assert.deepEqual(errorsWith(manifest => { manifest.targets[0].targetIndex = '0'; }),
+        ['/targets/0/targetIndex: must be integer']);
+});
+
+test('a value outside the enum or range', () => {
+    assert.deepEqual(errorsWith(manifest => { manifest.version = 2; }),
+        ['/version: must be one of 1']);
+    assert.deepEqual(errorsWith(manifest => { manifest.assets.memoryBudgetMB = 0; }),
+        ['/assets/memoryBudgetMB: must be > 0']);
+});
+
+test('an unknown property, e.g. a typo', () => {
+    assert.deepEqual(errorsWith(manifest => { manifest.colour = 'red'; }),
+        ['/: unknown property "colour"']);
+});
+
+test('an empty target list', () => {
+    assert.deepEqual(errorsWith(manifest => { manifest.targets = []; }),
+        ['/targets: must have at least 1 item(s)']);
+});
+
+test('two targets on the same image', () => {
+    assert.deepEqual(errorsWith(manifest => manifest.targets.push({ ...manifest.targets[0], name: 'copy' })),
+        ['/targets/1/targetIndex: index 0 is used by more than one target']);
+});
+
+test('an overlay that is not defined', () => {
+    assert.deepEqual(errorsWith(manifest => { manifest.targets[0].overlay = 'poster'; }),
+        ['/targets/0/overlay: no capture overlay named "poster"']);
+});
+
+test('cross-checks wait until the schema passes', () => {
+    const errors = errorsWith(manifest => {
+        manifest.version = 2;
+        manifest.targets[0].overlay = 'poster';
+    });
+    assert.deepEqual(errors, ['/version: must be one of 1']);
+});
@@ -0,0 +1,61 @@
+// Pose filters: turning through ±π must not flip the smoothed orientation,
+// and a target held still must end up exactly where it is.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { createPoseFilter } from '../src/js/filters/pose-filter.js';
+import { angleBetween } from '../src/js/filters/quaternion.js';
+
+const FILTER_TYPES = ['oneEuro', 'ema', 'kalman'];
+const FRAME_MS = 1000 / 60;
+
+// Rotation about y; the angle is wrapped into (-π, π] the way a tracker
+// reports it, so the quaternion changes sign when the angle crosses ±π
+function yaw(angle) {
+    const wrapped = Math.atan2(Math.sin(angle), Math.cos(angle));
+    return [0, Math.sin(wrapped / 2), 0, Math.cos(wrapped / 2)];
+}
+
+function distance(a, b) {
+    return Math.hypot(a[0] - b[0], a[1] - b[1], a[2] - b[2]);
+}
+
+FILTER_TYPES.forEach(type => {
+    test(`${type} turns smoothly through ±π`, () => {
+        const filter = createPoseFilter({ type });
+        const step = 0.02; // Radians per frame, about 70°/s
+        let previous = null;
+
+        for (let frame = 0; frame <= 100; frame++) {
+            const angle = Math.PI - 1 + frame * step;
+            const { quaternion } = filter.filter({ position: [0, 0, 0], quaternion: yaw(angle) }, frame * FRAME_MS);
+
+            if (previous) {
+                assert.ok(angleBetween(quaternion, previous) < 2 * step,
+                    `jumped ${angleBetween(quaternion, previous).toFixed(3)} rad at frame ${frame}`);
+            }
+            assert.ok(angleBetween(quaternion, yaw(angle)) < 0.25,
+                `lags ${angleBetween(quaternion, yaw(angle)).toFixed(3)} rad behind at frame ${frame}`);
+            previous = quaternion;
+        }
+    });
+
+    test(`${type} settles on a pose held still`, () => {
+        const filter = createPoseFilter({ type });
+        const target = { position: [0.2, -0.1, 0.5], quaternion: yaw(2.5) };
+        let frame = 0;
+
+        // Start somewhere else, as when the visitor moves and then holds still
+        for (; frame < 30; frame++) {
+            filter.filter({ position: [0, 0, 0], quaternion: yaw(-2.5) }, frame * FRAME_MS);
+        }
+        let pose = null;
+        for (; frame < 330; frame++) {
+            pose = filter.filter({ position: [...target.position], quaternion: [...target.quaternion] }, frame * FRAME_MS);
+        }
+
+        assert.ok(distance(pose.position, target.position) < 1e-4,
+            `position is ${distance(pose.position, target.position)} away`);
+        assert.ok(angleBetween(pose.quaternion, target.quaternion) < 1e-3,
+            `rotation is ${angleBetween(pose.quaternion, target.quaternion)} rad away`);
+    });
+});
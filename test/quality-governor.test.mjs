@@ -0,0 +1,79 @@
+// The quality governor: steps down after slow seconds, up after a long fast
+// run, and backs off from tiers the device couldn't hold.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { QualityGovernor } from '../src/js/quality-governor.js';
+
+// medium and low aim for 30 fps, high for 60; three warm-up samples are ignored
+function createGovernor(options) {
+    const changes = [];
+    const governor = new QualityGovernor({ onChange: (tier) => changes.push(tier), ...options });
+    return { governor, changes };
+}
+
+function feed(governor, fps, seconds) {
+    for (let i = 0; i < seconds; i++) {
+        governor.sample(fps);
+    }
+}
+
+test('ignores the warm-up seconds', () => {
+    const { governor, changes } = createGovernor({ tier: 'medium' });
+    feed(governor, 5, 3);
+    assert.deepEqual(changes, []);
+});
+
+test('steps down after downSeconds slow seconds in a row', () => {
+    const { governor, changes } = createGovernor({ tier: 'medium', warmupSeconds: 0 });
+    feed(governor, 20, 2);
+    assert.equal(governor.tier, 'medium');
+
+    governor.sample(20);
+    assert.deepEqual(changes, ['low']);
+});
+
+test('a second that is neither slow nor fast starts the count again', () => {
+    const { governor, changes } = createGovernor({ tier: 'medium', warmupSeconds: 0 });
+    feed(governor, 20, 2);
+    governor.sample(26); // 87% of 30 fps
+    feed(governor, 20, 2);
+    assert.deepEqual(changes, []);
+});
+
+test('steps up after upSeconds at full speed', () => {
+    const { governor, changes } = createGovernor({ tier: 'medium', warmupSeconds: 0 });
+    feed(governor, 30, 9);
+    assert.deepEqual(changes, []);
+
+    governor.sample(30);
+    assert.deepEqual(changes, ['high']);
+});
+
+test('stays on the top and bottom tiers', () => {
+    const top = createGovernor({ tier: 'high', warmupSeconds: 0 });
+    feed(top.governor, 60, 30);
+    assert.deepEqual(top.changes, []);
+
+    const bottom = createGovernor({ tier: 'low', warmupSeconds: 0 });
+    feed(bottom.governor, 5, 30);
+    assert.deepEqual(bottom.changes, []);
+});
+
+test('waits twice as long before retrying an upgrade that did not hold', () => {
+    const { governor, changes } = createGovernor({ tier: 'medium', warmupSeconds: 0 });
+    feed(governor, 30, 10);
+    feed(governor, 40, 3); // Slow for high's 60 fps
+    assert.deepEqual(changes, ['high', 'medium']);
+
+    feed(governor, 30, 19);
+    assert.equal(governor.tier, 'medium');
+    governor.sample(30);
+    assert.deepEqual(changes, ['high', 'medium', 'high']);
+});
+
+test('a pinned tier never changes', () => {
+    const { governor, changes } = createGovernor({ tier: 'medium', pinned: true, warmupSeconds: 0 });
+    feed(governor, 5, 10);
+    feed(governor, 60, 30);
+    assert.deepEqual(changes, []);
+});
@@ -0,0 +1,47 @@
+// shareFile() and the ShareResult callers use to tell a saved capture from a
+// lost one
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { shareFile, ShareResult } from '../src/js/share.js';
+
+const file = { name: 'webAR-screenshot.png', type: 'image/png' };
+
+// A browser without the Web Share API
+globalThis.navigator = {};
+
+test('a capture that no fallback could save throws its error', async () => {
+    const failure = new Error('Pop-up blocked');
+    const result = await shareFile(file, {
+        fallbacks: [
+            { method: 'window', run: () => false },
+            { method: 'download', run: () => { throw failure; } }
+        ]
+    });
+
+    assert.equal(result.method, null);
+    assert.equal(result.ok, false);
+    assert.throws(() => result.throwIfFailed(), failure);
+});
+
+test('a capture without fallbacks throws', async () => {
+    const result = await shareFile(file);
+    assert.throws(() => result.throwIfFailed(), /No way to save the file/);
+});
+
+test('the first fallback that works is the method', async () => {
+    const result = await shareFile(file, {
+        fallbacks: [
+            { method: 'window', run: () => false },
+            { method: 'download', run: () => undefined }
+        ]
+    });
+
+    assert.equal(result.method, 'download');
+    assert.equal(result.throwIfFailed(), result);
+});
+
+test('a closed share sheet is not a failure', () => {
+    const result = new ShareResult('share', { cancelled: true });
+    assert.equal(result.ok, false);
+    assert.doesNotThrow(() => result.throwIfFailed());
+});
@@ -0,0 +1,89 @@
+// Tracking loss policies: what a lost target shows over time and how it
+// comes back.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { TrackingLossController } from '../src/js/tracking-loss.js';
+
+// A controller that found its target at 0 and lost it at 1000 ms
+function lostAt1000(options) {
+    const controller = new TrackingLossController(options);
+    controller.found(0);
+    controller.lost(1000);
+    return controller;
+}
+
+test('starts hidden', () => {
+    assert.deepEqual(new TrackingLossController().update(0), { visible: false, presence: 0, poseBlend: 1 });
+});
+
+test('hide: gone as soon as the target is lost', () => {
+    const controller = lostAt1000({ onLost: { mode: 'hide' } });
+    assert.equal(controller.state, 'hidden');
+    assert.equal(controller.update(1000).visible, false);
+});
+
+test('hide with holdMs: stays for the grace period', () => {
+    const controller = lostAt1000({ onLost: { mode: 'hide', holdMs: 200 } });
+    assert.equal(controller.update(1199).visible, true);
+    assert.equal(controller.update(1200).visible, false);
+});
+
+test('hold: keeps the last pose for holdMs, then hides', () => {
+    const controller = lostAt1000({ onLost: { mode: 'hold', holdMs: 500 } });
+    assert.deepEqual(controller.update(1400), { visible: true, presence: 1, poseBlend: 1 });
+    assert.equal(controller.update(1500).visible, false);
+});
+
+test('fade: holds, fades out over durationMs, then hides', () => {
+    const controller = lostAt1000({ onLost: { mode: 'fade', holdMs: 100, durationMs: 400 } });
+
+    assert.equal(controller.update(1050).presence, 1);
+    assert.equal(controller.state, 'holding');
+
+    const halfway = controller.update(1300);
+    assert.equal(controller.state, 'exiting');
+    assert.equal(halfway.visible, true);
+    assert.equal(halfway.presence, 0.5);
+
+    assert.deepEqual(controller.update(1500), { visible: false, presence: 0, poseBlend: 1 });
+});
+
+test('a late update still passes through every state', () => {
+    const controller = lostAt1000({ onLost: { mode: 'scale', holdMs: 100, durationMs: 400 } });
+    assert.equal(controller.update(5000).visible, false);
+    assert.equal(controller.state, 'hidden');
+});
+
+test('found again while held: blends into the tracked pose', () => {
+    const controller = lostAt1000({ onLost: { mode: 'hold', holdMs: 500 }, reacquire: { blendMs: 200 } });
+
+    assert.equal(controller.found(1300), true);
+    assert.equal(controller.update(1300).poseBlend, 0);
+    assert.equal(controller.update(1400).poseBlend, 0.5);
+    assert.equal(controller.update(1500).poseBlend, 1);
+    assert.equal(controller.blending, false);
+});
+
+test('found again after it was hidden: snaps to the tracked pose', () => {
+    const controller = lostAt1000({ onLost: { mode: 'hold', holdMs: 100 } });
+    controller.update(2000);
+
+    assert.equal(controller.found(2000), false);
+    assert.deepEqual(controller.update(2000), { visible: true, presence: 1, poseBlend: 1 });
+});
+
+test('fade: found mid-fade eases back in from the presence it had left', () => {
+    const controller = lostAt1000({ onLost: { mode: 'fade', holdMs: 0, durationMs: 400 }, reacquire: { blendMs: 200 } });
+    controller.update(1200);
+
+    controller.found(1200);
+    assert.equal(controller.update(1200).presence, 0.5);
+    assert.equal(controller.update(1300).presence, 0.75);
+    assert.equal(controller.update(1400).presence, 1);
+});
+
+test('lost() is ignored unless the target is tracked', () => {
+    const controller = new TrackingLossController({ onLost: { mode: 'hold', holdMs: 500 } });
+    controller.lost(0);
+    assert.equal(controller.state, 'hidden');
+});
@@ -0,0 +1,69 @@
+// WebVTT captions: timestamps, cue text and the blocks that aren't cues.
+import test from 'node:test';
+import assert from 'node:assert/strict';
+import { parseWebVTT, getCaptionAt } from '../src/js/webvtt.js';
+
+test('parses mm:ss.ttt and hh:mm:ss.ttt timestamps', () => {
+    const cues = parseWebVTT([
+        'WEBVTT',
+        '',
+        '00:01.500 --> 00:04.250',
+        'Short form',
+        '',
+        '01:02:03.004 --> 01:02:05.000',
+        'With hours'
+    ].join('\n'));
+
+    assert.deepEqual(cues.map(({ start, end }) => [start, end]), [[1.5, 4.25], [3723.004, 3725]]);
+});
+
+test('keeps multi-line text and drops identifiers, settings and markup', () => {
+    const [cue] = parseWebVTT([
+        'WEBVTT - Narration',
+        '',
+        'intro',
+        '00:00.000 --> 00:02.000 align:start line:90%',
+        '<v Curator>Welcome to the <i>hall</i></v>',
+        'Fish &amp; chips &lt;3'
+    ].join('\n'));
+
+    assert.equal(cue.text, 'Welcome to the hall\nFish & chips <3');
+});
+
+test('skips NOTE, STYLE and REGION blocks and reads Windows line endings', () => {
+    const cues = parseWebVTT([
+        'WEBVTT',
+        '',
+        'NOTE written for the gem hall',
+        '',
+        'STYLE',
+        '::cue { color: yellow }',
+        '',
+        '00:00.000 --> 00:01.000',
+        'Only cue'
+    ].join('\r\n'));
+
+    assert.deepEqual(cues, [{ start: 0, end: 1, text: 'Only cue' }]);
+});
+
+test('sorts cues by start time', () => {
+    const cues = parseWebVTT('WEBVTT\n\n00:05.000 --> 00:06.000\nSecond\n\n00:01.000 --> 00:02.000\nFirst');
+    assert.deepEqual(cues.map(cue => cue.text), ['First', 'Second']);
+});
+
+test('rejects a file without the WEBVTT header', () => {
+    assert.throws(() => parseWebVTT('1\n00:00:01,000 --> 00:00:02,000\nSRT'), /missing WEBVTT header/);
+});
+
+test('ignores blocks with malformed timings', () => {
+    assert.deepEqual(parseWebVTT('WEBVTT\n\n00:01 --> 00:02\nNo milliseconds'), []);
+});
+
+test('the caption at a time joins overlapping cues and excludes the end', () => {
+    const cues = parseWebVTT('WEBVTT\n\n00:00.000 --> 00:04.000\nOne\n\n00:02.000 --> 00:06.000\nTwo');
+
+    assert.equal(getCaptionAt(cues, 1), 'One');
+    assert.equal(getCaptionAt(cues, 3), 'One\nTwo');
+    assert.equal(getCaptionAt(cues, 4), 'Two');
+    assert.equal(getCaptionAt(cues, 6), '');
+});